@@ -0,0 +1,41 @@
+import { createHash } from "node:crypto";
+
+import { buildHistoryContents, buildPartLayout } from "./part-layout.js";
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+export function createGenerationFingerprint(request, { provider, modelVersion = null }) {
+  const { parts } = buildPartLayout(request, { redactImages: true });
+  const history = buildHistoryContents(request.history, { redactImages: true });
+
+  const inputImages = [];
+  parts.forEach((part, index) => {
+    if (part.inline_data) {
+      const caption = parts[index - 1]?.text ?? "";
+      inputImages.push({
+        role: caption.match(/^\[([^\]]+)\]/)?.[1] ?? null,
+        ...part.inline_data
+      });
+    }
+  });
+
+  return {
+    provider,
+    model: request.model,
+    modelVersion,
+    systemInstructionSha256: sha256(request.systemPrompt),
+    promptSha256: sha256(
+      parts
+        .filter((part) => typeof part.text === "string")
+        .map((part) => part.text)
+        .join("\n")
+    ),
+    historySha256: history.length > 0 ? sha256(JSON.stringify(history)) : null,
+    inputImages,
+    aspectRatio: request.aspectRatio,
+    imageSize: request.imageSize,
+    sampling: request.sampling
+  };
+}
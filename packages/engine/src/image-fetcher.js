@@ -0,0 +1,301 @@
+import { createHash } from "node:crypto";
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+
+import { ContractValidationError } from "../../shared/src/index.js";
+import { sniffImageMimeType } from "./image-info.js";
+import { createCancelledError } from "./utils.js";
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const BLOCKED_ADDRESSES = (() => {
+  const list = new net.BlockList();
+  for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4]
+  ]) {
+    list.addSubnet(network, prefix, "ipv4");
+  }
+  for (const [network, prefix] of [
+    ["::", 128],
+    ["::1", 128],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8]
+  ]) {
+    list.addSubnet(network, prefix, "ipv6");
+  }
+  return list;
+})();
+
+function readNumberEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function resolveImageFetchPolicy(overrides = {}) {
+  const allowedHosts =
+    overrides.allowedHosts ??
+    (process.env.IMAGE_FETCH_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+
+  return {
+    maxBytes: overrides.maxBytes ?? readNumberEnv("IMAGE_FETCH_MAX_BYTES", 20 * 1024 * 1024),
+    timeoutMs: overrides.timeoutMs ?? readNumberEnv("IMAGE_FETCH_TIMEOUT_MS", 15000),
+    maxRedirects: overrides.maxRedirects ?? readNumberEnv("IMAGE_FETCH_MAX_REDIRECTS", 3),
+    allowedHosts
+  };
+}
+
+function normalizeAddress(address) {
+  const unzoned = address.split("%")[0].toLowerCase();
+  const mapped = unzoned.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped ? mapped[1] : unzoned;
+}
+
+export function isBlockedAddress(address) {
+  const normalized = normalizeAddress(address);
+  const family = net.isIP(normalized);
+  if (family === 0) {
+    return false;
+  }
+  return BLOCKED_ADDRESSES.check(normalized, family === 4 ? "ipv4" : "ipv6");
+}
+
+function isAllowedHost(hostname, address, policy) {
+  const host = hostname.toLowerCase();
+  return policy.allowedHosts.some((entry) => {
+    if (entry.includes("/")) {
+      const [network, prefix] = entry.split("/");
+      const family = net.isIP(network);
+      const normalized = normalizeAddress(address);
+      if (family === 0 || net.isIP(normalized) !== family) {
+        return false;
+      }
+      const list = new net.BlockList();
+      list.addSubnet(network, Number(prefix), family === 4 ? "ipv4" : "ipv6");
+      return list.check(normalized, family === 4 ? "ipv4" : "ipv6");
+    }
+    if (entry.startsWith("*.")) {
+      return host.endsWith(entry.slice(1));
+    }
+    return host === entry || normalizeAddress(address) === entry;
+  });
+}
+
+function imageRefError(code, message, details) {
+  return new ContractValidationError(code, message, details);
+}
+
+function assertAddressAllowed(url, hostname, address, policy) {
+  if (isBlockedAddress(address) && !isAllowedHost(hostname, address, policy)) {
+    throw imageRefError(
+      "IMAGE_REF_BLOCKED_ADDRESS",
+      `imageRef host ${hostname} resolves to a private or reserved address`,
+      { url, hostname, address }
+    );
+  }
+}
+
+function createGuardedLookup(url, hostname, policy) {
+  return (lookupHostname, options, callback) => {
+    dns.lookup(lookupHostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      try {
+        for (const entry of addresses) {
+          assertAddressAllowed(url, hostname, entry.address, policy);
+        }
+      } catch (blockedError) {
+        callback(blockedError);
+        return;
+      }
+      if (options.all) {
+        callback(null, addresses);
+        return;
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function requestOnce(url, policy, signal) {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) {
+    assertAddressAllowed(url, hostname, hostname, policy);
+  }
+
+  const client = parsed.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(
+      parsed,
+      {
+        signal,
+        lookup: createGuardedLookup(url, hostname, policy),
+        headers: {
+          accept: "image/png,image/jpeg,image/webp,image/gif;q=0.9,*/*;q=0.1"
+        }
+      },
+      (res) => {
+        if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+          res.resume();
+          resolve({ redirectTo: new URL(res.headers.location, parsed).toString() });
+          return;
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          reject(
+            imageRefError(
+              "IMAGE_REF_DOWNLOAD_FAILED",
+              `Failed to download imageRef: ${url} (${res.statusCode})`,
+              { url, status: res.statusCode }
+            )
+          );
+          return;
+        }
+
+        const declaredLength = Number(res.headers["content-length"]);
+        if (Number.isFinite(declaredLength) && declaredLength > policy.maxBytes) {
+          res.destroy();
+          reject(
+            imageRefError("IMAGE_REF_TOO_LARGE", `imageRef exceeds ${policy.maxBytes} bytes`, {
+              url,
+              maxBytes: policy.maxBytes,
+              declaredBytes: declaredLength
+            })
+          );
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > policy.maxBytes) {
+            res.destroy();
+            reject(
+              imageRefError("IMAGE_REF_TOO_LARGE", `imageRef exceeds ${policy.maxBytes} bytes`, {
+                url,
+                maxBytes: policy.maxBytes
+              })
+            );
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on("error", reject);
+        res.on("end", () => {
+          resolve({ body: Buffer.concat(chunks) });
+        });
+      }
+    );
+    req.on("error", reject);
+  });
+}
+
+async function downloadImage(url, policy, taskSignal) {
+  const timeoutSignal = AbortSignal.timeout(policy.timeoutMs);
+  const signal = taskSignal ? AbortSignal.any([taskSignal, timeoutSignal]) : timeoutSignal;
+
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects += 1) {
+    let result;
+    try {
+      result = await requestOnce(currentUrl, policy, signal);
+    } catch (error) {
+      if (taskSignal?.aborted) {
+        throw createCancelledError(taskSignal);
+      }
+      if (timeoutSignal.aborted) {
+        throw imageRefError(
+          "IMAGE_REF_TIMEOUT",
+          `imageRef download timed out after ${policy.timeoutMs}ms`,
+          { url, timeoutMs: policy.timeoutMs }
+        );
+      }
+      if (error instanceof ContractValidationError) {
+        throw error;
+      }
+      throw imageRefError(
+        "IMAGE_REF_DOWNLOAD_FAILED",
+        `Failed to download imageRef: ${url} (${error.code || error.message})`,
+        { url, cause: error.code || error.message }
+      );
+    }
+
+    if (!result.redirectTo) {
+      return result.body;
+    }
+    if (redirects >= policy.maxRedirects) {
+      throw imageRefError(
+        "IMAGE_REF_TOO_MANY_REDIRECTS",
+        `imageRef followed more than ${policy.maxRedirects} redirects`,
+        { url, maxRedirects: policy.maxRedirects }
+      );
+    }
+    if (!/^https?:$/.test(new URL(result.redirectTo).protocol)) {
+      throw imageRefError(
+        "IMAGE_REF_INVALID_URL",
+        "imageRef redirected to a non-http(s) URL",
+        { url, location: result.redirectTo }
+      );
+    }
+    currentUrl = result.redirectTo;
+  }
+}
+
+export function createImageFetcher({ signal, policy = resolveImageFetchPolicy() } = {}) {
+  const urlCache = new Map();
+  const contentCache = new Map();
+
+  async function fetchRemote(url) {
+    const body = await downloadImage(url, policy, signal);
+    const mimeType = sniffImageMimeType(body);
+    if (!mimeType) {
+      throw imageRefError(
+        "IMAGE_REF_UNSUPPORTED_TYPE",
+        "imageRef payload is not a PNG, JPEG, WebP or GIF image",
+        { url, byteLength: body.length }
+      );
+    }
+
+    const sha256 = createHash("sha256").update(body).digest("hex");
+    if (!contentCache.has(sha256)) {
+      contentCache.set(sha256, {
+        inlineData: {
+          mimeType,
+          data: body.toString("base64")
+        },
+        sha256,
+        byteLength: body.length
+      });
+    }
+    return contentCache.get(sha256);
+  }
+
+  return {
+    fetch(url) {
+      if (!urlCache.has(url)) {
+        urlCache.set(url, fetchRemote(url));
+      }
+      return urlCache.get(url);
+    }
+  };
+}
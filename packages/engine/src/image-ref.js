@@ -0,0 +1,66 @@
+import {
+  ContractValidationError,
+  parseAssetImageRef,
+  parseNodeImageRef,
+  parseTaskImageRef
+} from "../../shared/src/index.js";
+
+function parseDataUrl(dataUrl) {
+  const match = dataUrl.match(/^data:([^;,]+);base64,(.+)$/);
+  if (!match) {
+    throw new Error("Invalid data URL imageRef. Expected data:<mime>;base64,<data>.");
+  }
+  return {
+    mimeType: match[1],
+    data: match[2]
+  };
+}
+
+export async function imageRefToInlineData(
+  imageRef,
+  { imageFetcher, resolveTaskRef, resolveNodeRef, resolveAssetRef }
+) {
+  if (imageRef.startsWith("data:")) {
+    return parseDataUrl(imageRef);
+  }
+
+  const taskRef = parseTaskImageRef(imageRef);
+  if (taskRef) {
+    if (typeof resolveTaskRef !== "function") {
+      throw new ContractValidationError(
+        "UNSUPPORTED_IMAGE_REF",
+        "task: imageRefs can only be resolved by a server with a task store.",
+        { received: imageRef }
+      );
+    }
+    return resolveTaskRef(taskRef);
+  }
+
+  const assetRef = parseAssetImageRef(imageRef);
+  if (assetRef) {
+    if (typeof resolveAssetRef !== "function") {
+      throw new ContractValidationError(
+        "UNSUPPORTED_IMAGE_REF",
+        "asset: imageRefs can only be resolved by a server with an asset store.",
+        { received: imageRef }
+      );
+    }
+    return resolveAssetRef(assetRef);
+  }
+
+  const nodeRef = parseNodeImageRef(imageRef);
+  if (nodeRef && typeof resolveNodeRef === "function") {
+    return resolveNodeRef(nodeRef);
+  }
+
+  if (/^https?:\/\//i.test(imageRef)) {
+    const fetched = await imageFetcher.fetch(imageRef);
+    return fetched.inlineData;
+  }
+
+  throw new ContractValidationError(
+    "UNSUPPORTED_IMAGE_REF",
+    "Unsupported imageRef format. Use data URL, http(s) URL, task:<taskId> or asset:<assetId>.",
+    { received: imageRef.slice(0, 32) }
+  );
+}
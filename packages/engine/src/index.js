@@ -1,133 +1,149 @@
-import { extractPromptIndexing } from "../../shared/src/index.js";
+import {
+  ContractValidationError,
+  IMAGE_ROLES,
+  MAX_SEED,
+  extractPromptIndexing,
+  getFeatureType
+} from "../../shared/src/index.js";
+import { createGenerationFingerprint } from "./fingerprint.js";
+import { createImageFetcher } from "./image-fetcher.js";
+import { readImageDimensions } from "./image-info.js";
+import { imageRefToInlineData } from "./image-ref.js";
+import { buildPartLayout } from "./part-layout.js";
+import { resolveProvider } from "./providers/index.js";
+import { resolveRetryPolicy, withRetry } from "./retry.js";
+import { summarizeUsage } from "./usage.js";
+import { throwIfCancelled } from "./utils.js";
+
+export { getProvider, registerProvider, resolveProvider } from "./providers/index.js";
+export { readImageDimensions, sniffImageMimeType } from "./image-info.js";
+export { buildPartLayout } from "./part-layout.js";
+export { crc32, pngChunk } from "./png.js";
+export { parsePriceOverrides, resolvePriceTable } from "./usage.js";
+export { previewWorkflow, runWorkflow } from "./workflow.js";
 
 const DEFAULT_MODEL = process.env.GEMINI_MODEL || "gemini-3-pro-image-preview";
-const DEFAULT_BASE_URL =
-  process.env.GEMINI_API_BASE_URL || "https://generativelanguage.googleapis.com/v1beta";
-
-const FEATURE_HINTS = Object.freeze({
-  FACE: "Preserve identity and facial consistency.",
-  STYLE: "Transfer visual style, color language, and rendering tone.",
-  MATERIAL: "Transfer material and texture fidelity.",
-  COMPONENT: "Transfer specific components or accessories."
-});
-
-function summarizeText(text, maxLength = 420) {
-  if (typeof text !== "string") {
-    return "";
+
+function normalizeHistory(history) {
+  if (history === undefined || history === null) {
+    return [];
   }
-  const normalized = text.replace(/\s+/g, " ").trim();
-  if (normalized.length <= maxLength) {
-    return normalized;
+  if (!Array.isArray(history)) {
+    throw new TypeError("history must be an array of conversation turns");
   }
-  return `${normalized.slice(0, maxLength - 3)}...`;
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return history.map((turn, index) => {
+    if (!["user", "model"].includes(turn?.role) || !Array.isArray(turn.parts)) {
+      throw new TypeError(`history[${index}] must have role user|model and a parts array`);
+    }
+    return { role: turn.role, parts: turn.parts };
+  });
 }
 
-function parseDataUrl(dataUrl) {
-  const match = dataUrl.match(/^data:([^;,]+);base64,(.+)$/);
-  if (!match) {
-    throw new Error("Invalid data URL imageRef. Expected data:<mime>;base64,<data>.");
+function verifyMaskDimensions(referenceInlineData, maskInlineData, warnings) {
+  const maskSize = readImageDimensions(Buffer.from(maskInlineData.data, "base64"));
+  if (!maskSize) {
+    throw new ContractValidationError(
+      "INVALID_MASK",
+      "reference.maskRef must be a PNG, JPEG, WebP or GIF image",
+      { mimeType: maskInlineData.mimeType }
+    );
   }
-  return {
-    mimeType: match[1],
-    data: match[2]
-  };
-}
 
-async function imageRefToInlineData(imageRef) {
-  if (imageRef.startsWith("data:")) {
-    return parseDataUrl(imageRef);
+  const referenceSize = readImageDimensions(Buffer.from(referenceInlineData.data, "base64"));
+  if (!referenceSize) {
+    warnings.push("Could not read reference image dimensions; mask size was not verified.");
+    return;
   }
 
-  if (/^https?:\/\//i.test(imageRef)) {
-    const response = await fetch(imageRef);
-    if (!response.ok) {
-      throw new Error(`Failed to download imageRef: ${imageRef} (${response.status})`);
-    }
-    const mimeType = response.headers.get("content-type") || "image/png";
-    const buffer = Buffer.from(await response.arrayBuffer());
-    return {
-      mimeType: mimeType.split(";")[0],
-      data: buffer.toString("base64")
-    };
+  if (referenceSize.width !== maskSize.width || referenceSize.height !== maskSize.height) {
+    throw new ContractValidationError(
+      "MASK_DIMENSION_MISMATCH",
+      `reference.maskRef is ${maskSize.width}x${maskSize.height} but reference image is ${referenceSize.width}x${referenceSize.height}`,
+      { reference: referenceSize, mask: maskSize }
+    );
   }
-
-  throw new Error("Unsupported imageRef format. Use data URL or http(s) URL.");
 }
 
 function createSystemPrompt(contract) {
   const sourceHints = contract.sources
     .map(
       (source, index) =>
-        `Source ${index}: type=${source.featureType}, weight=${source.weight.toFixed(2)}. ${FEATURE_HINTS[source.featureType]}`
+        `Source ${index}: type=${source.featureType}, weight=${source.weight.toFixed(2)}. ${getFeatureType(source.featureType)?.hint ?? ""}`.trim()
     )
     .join("\n");
 
+  const roleHints = [];
+  if (contract.parentTaskId) {
+    roleHints.push(
+      "Refinement: the Reference image is your previous output in this session. Apply only the change requested in the latest user prompt and keep everything else consistent."
+    );
+  }
+  if (contract.reference.maskRef) {
+    roleHints.push(
+      "Mask: confine every edit to the white region of the Mask image; keep everything outside it identical to the Reference image and blend the edge seamlessly."
+    );
+  }
+  if (contract.skeleton) {
+    roleHints.push(
+      `Skeleton: weight=${contract.skeleton.weight.toFixed(2)}. Follow the pose, silhouette and structural lines of the Skeleton image (e.g. openpose or line-art map); never copy its colors or textures.`
+    );
+  }
+  if (contract.soul) {
+    roleHints.push(
+      `Soul: weight=${contract.soul.weight.toFixed(2)}. Match the overall mood, atmosphere, lighting temperature and emotional tone of the Soul image without copying its content.`
+    );
+  }
+
   return [
     "You are a multi-reference image editing and generation engine.",
     "Apply strong composition constraints from Reference image.",
     "Apply weighted multi-source feature fusion from Source images.",
     "Keep scene physically coherent with minimal artifacts.",
     "If conflicts happen, prioritize higher weight source features.",
+    ...(roleHints.length > 0 ? ["", "Role guides:", ...roleHints] : []),
     "",
     "Feature plan:",
     sourceHints
   ].join("\n");
 }
 
-function extractOutputImage(resultJson) {
-  const parts = resultJson?.candidates?.[0]?.content?.parts;
-  if (!Array.isArray(parts) || parts.length === 0) {
-    throw new Error("Gemini returned no candidates/content parts.");
-  }
-
-  const imagePart = parts.find((part) => part.inlineData?.data || part.inline_data?.data);
-  if (!imagePart) {
-    const textPart = parts.find((part) => typeof part.text === "string");
-    if (textPart?.text) {
-      throw new Error(`Gemini returned text only: ${textPart.text.slice(0, 220)}`);
-    }
-    throw new Error("Gemini returned no image part.");
-  }
-
-  const inlineData = imagePart.inlineData || imagePart.inline_data;
-  const mimeType = inlineData.mimeType || inlineData.mime_type || "image/png";
-  const base64Data = inlineData.data;
-  if (!base64Data) {
-    throw new Error("Gemini image part missing base64 data.");
-  }
-
-  let outputExtension = "png";
-  if (mimeType.includes("jpeg") || mimeType.includes("jpg")) {
-    outputExtension = "jpg";
-  } else if (mimeType.includes("webp")) {
-    outputExtension = "webp";
-  }
-
-  return {
-    outputBuffer: Buffer.from(base64Data, "base64"),
-    outputMimeType: mimeType,
-    outputExtension
-  };
-}
-
-function buildWorkflowGraph(contract) {
+function buildWorkflowGraph(contract, provider) {
   const promptIndexing = extractPromptIndexing(contract.prompt, contract.sources.length);
   return {
     name: "MEIE-DualTrack-Gemini",
     version: "0.2.0",
     model: contract.model || DEFAULT_MODEL,
+    provider: provider.name,
+    parentTaskId: contract.parentTaskId ?? null,
     promptIndexing,
     nodes: [
       {
         id: "reference",
-        role: "REFERENCE",
+        role: IMAGE_ROLES.REFERENCE,
         engineNode: "composition_constraint",
-        weight: contract.reference.weight
+        weight: contract.reference.weight,
+        masked: Boolean(contract.reference.maskRef)
       },
+      ...(contract.skeleton
+        ? [
+            {
+              id: "skeleton",
+              role: IMAGE_ROLES.SKELETON,
+              engineNode: "structure_guide",
+              weight: contract.skeleton.weight
+            }
+          ]
+        : []),
+      ...(contract.soul
+        ? [
+            {
+              id: "soul",
+              role: IMAGE_ROLES.SOUL,
+              engineNode: "atmosphere_anchor",
+              weight: contract.soul.weight
+            }
+          ]
+        : []),
       {
         id: "feature-track",
         role: "TRACK_B",
@@ -142,23 +158,30 @@ function buildWorkflowGraph(contract) {
         id: "gemini-generate",
         role: "MERGE",
         engineNode: "generateContent",
-        prompt: contract.prompt
+        prompt: contract.prompt,
+        negativePrompt: contract.negativePrompt ?? "",
+        variantCount: contract.variantCount ?? 1,
+        aspectRatio: contract.aspectRatio ?? null,
+        imageSize: contract.imageSize ?? null
       }
     ]
   };
 }
 
-export async function runDualTrackGeneration(contract, options = {}) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error("Missing GEMINI_API_KEY environment variable.");
-  }
+function variantSeed(seed, variantIndex) {
+  return seed === null ? null : (seed + variantIndex) % (MAX_SEED + 1);
+}
 
+async function prepareGenerationRequest(contract, options) {
   const targetModel = contract.model || DEFAULT_MODEL;
-  const workflowGraph = buildWorkflowGraph({
-    ...contract,
-    model: targetModel
-  });
+  const provider = resolveProvider(targetModel, options.provider);
+  const workflowGraph = buildWorkflowGraph(
+    {
+      ...contract,
+      model: targetModel
+    },
+    provider
+  );
   const warnings = [];
   if (workflowGraph.promptIndexing.outOfRange.length > 0) {
     warnings.push(
@@ -170,7 +193,29 @@ export async function runDualTrackGeneration(contract, options = {}) {
     options.onStage({ stage: "REFERENCE_PREPROCESS", progress: 0.2 });
   }
 
-  const referenceInlineData = await imageRefToInlineData(contract.reference.imageRef);
+  throwIfCancelled(options.signal);
+  const { imageLoader } = options;
+  const history = normalizeHistory(options.history);
+  const referenceInlineData = await imageRefToInlineData(
+    contract.reference.imageRef,
+    imageLoader
+  );
+
+  const maskInlineData = contract.reference.maskRef
+    ? await imageRefToInlineData(contract.reference.maskRef, imageLoader)
+    : null;
+  if (maskInlineData && (maskInlineData.unresolvedRef || referenceInlineData.unresolvedRef)) {
+    warnings.push("Mask size was not verified because the image was not loaded.");
+  } else if (maskInlineData) {
+    verifyMaskDimensions(referenceInlineData, maskInlineData, warnings);
+  }
+
+  const skeletonInlineData = contract.skeleton
+    ? await imageRefToInlineData(contract.skeleton.imageRef, imageLoader)
+    : null;
+  const soulInlineData = contract.soul
+    ? await imageRefToInlineData(contract.soul.imageRef, imageLoader)
+    : null;
 
   if (typeof options.onStage === "function") {
     options.onStage({ stage: "SOURCE_FEATURE_EXTRACTION", progress: 0.45 });
@@ -178,137 +223,246 @@ export async function runDualTrackGeneration(contract, options = {}) {
 
   const sourceInlineDataList = [];
   for (const source of contract.sources) {
-    sourceInlineDataList.push(await imageRefToInlineData(source.imageRef));
-  }
-
-  if (typeof options.onStage === "function") {
-    options.onStage({ stage: "DIFFUSION_SAMPLING", progress: 0.75 });
+    sourceInlineDataList.push(await imageRefToInlineData(source.imageRef, imageLoader));
   }
 
   const userPrompt = [
-    `Task ID: ${contract.taskId}`,
-    `Reference weight: ${contract.reference.weight.toFixed(2)}`,
-    ...contract.sources.map(
-      (source, index) =>
-        `Source ${index} -> featureType=${source.featureType}, weight=${source.weight.toFixed(2)}`
-    ),
-    "",
     `User prompt: ${contract.prompt}`,
     contract.negativePrompt ? `Negative prompt: ${contract.negativePrompt}` : ""
   ]
     .filter(Boolean)
     .join("\n");
 
-  const contents = [
-    {
-      role: "user",
-      parts: [
-        {
-          text: [
-            "Reference image below is composition anchor.",
-            "Apply source image features with weighted fusion.",
-            "",
-            userPrompt
-          ].join("\n")
-        },
-        {
-          inline_data: referenceInlineData
-        },
-        ...sourceInlineDataList.map((inlineData, index) => ({
-          text: `Source ${index} image`
-        })),
-        ...sourceInlineDataList.map((inlineData) => ({
-          inline_data: inlineData
-        }))
-      ]
-    }
-  ];
-
-  const requestBody = {
-    system_instruction: {
-      parts: [{ text: createSystemPrompt(contract) }]
+  const generationRequest = {
+    taskId: contract.taskId,
+    model: targetModel,
+    aspectRatio: contract.aspectRatio ?? null,
+    imageSize: contract.imageSize ?? null,
+    sampling: {
+      seed: contract.seed ?? null,
+      temperature: contract.temperature ?? null,
+      topP: contract.topP ?? null
     },
-    contents,
-    generationConfig: {
-      responseModalities: ["IMAGE", "TEXT"]
-    }
+    systemPrompt: createSystemPrompt(contract),
+    prompt: contract.prompt,
+    userPrompt,
+    history,
+    reference: {
+      weight: contract.reference.weight,
+      note: contract.reference.note ?? "",
+      inlineData: referenceInlineData,
+      mask: maskInlineData ? { inlineData: maskInlineData } : null
+    },
+    skeleton: contract.skeleton
+      ? {
+          weight: contract.skeleton.weight,
+          note: contract.skeleton.note ?? "",
+          inlineData: skeletonInlineData
+        }
+      : null,
+    soul: contract.soul
+      ? {
+          weight: contract.soul.weight,
+          note: contract.soul.note ?? "",
+          inlineData: soulInlineData
+        }
+      : null,
+    sources: contract.sources.map((source, index) => ({
+      featureType: source.featureType,
+      weight: source.weight,
+      note: source.note ?? "",
+      inlineData: sourceInlineDataList[index]
+    }))
   };
 
-  const endpoint = `${DEFAULT_BASE_URL}/models/${encodeURIComponent(targetModel)}:generateContent`;
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-      "x-goog-api-key": apiKey
-    },
-    body: JSON.stringify(requestBody)
-  });
+  return { targetModel, provider, workflowGraph, warnings, generationRequest };
+}
 
-  const responseText = await response.text();
-  let resultJson = null;
-  if (responseText) {
-    try {
-      resultJson = JSON.parse(responseText);
-    } catch {
-      resultJson = null;
-    }
-  }
+export async function runDualTrackGeneration(contract, options = {}) {
+  const { targetModel, provider, workflowGraph, warnings, generationRequest } =
+    await prepareGenerationRequest(contract, {
+      ...options,
+      imageLoader: {
+        imageFetcher: createImageFetcher({ signal: options.signal }),
+        resolveTaskRef: options.resolveTaskRef,
+        resolveNodeRef: options.resolveNodeRef,
+        resolveAssetRef: options.resolveAssetRef
+      }
+    });
 
-  if (!response.ok) {
-    const requestId =
-      response.headers.get("x-request-id") ||
-      response.headers.get("x-goog-request-id") ||
-      null;
-    const message =
-      resultJson?.error?.message ||
-      `Gemini API request failed with status ${response.status}.`;
-    const detailSummary = summarizeText(
-      resultJson?.error
-        ? JSON.stringify(resultJson.error)
-        : responseText || "empty response body"
-    );
-    const error = new Error(message);
-    error.code = "GEMINI_API_ERROR";
-    error.details = {
-      provider: "gemini",
-      model: targetModel,
-      status: response.status,
-      statusText: response.statusText || null,
-      requestId,
-      bodySummary: detailSummary
-    };
-    throw error;
+  if (typeof options.onStage === "function") {
+    options.onStage({ stage: "DIFFUSION_SAMPLING", progress: 0.75 });
   }
 
-  if (!resultJson) {
-    const error = new Error("Gemini returned non-JSON success response.");
-    error.code = "GEMINI_API_ERROR";
-    error.details = {
-      provider: "gemini",
-      model: targetModel,
-      status: response.status,
-      statusText: response.statusText || null,
-      requestId:
-        response.headers.get("x-request-id") ||
-        response.headers.get("x-goog-request-id") ||
-        null,
-      bodySummary: summarizeText(responseText || "empty response body")
-    };
+  const variantCount = contract.variantCount ?? 1;
+  const retryPolicy = resolveRetryPolicy(options.retryPolicy);
+  const attemptCounts = Array.from({ length: variantCount }, () => 0);
+  const variantRuns = await Promise.allSettled(
+    Array.from({ length: variantCount }, (_, variantIndex) =>
+      withRetry(
+        (attempt) => {
+          attemptCounts[variantIndex] = attempt;
+          return provider.generate(
+            {
+              ...generationRequest,
+              sampling: {
+                ...generationRequest.sampling,
+                seed: variantSeed(generationRequest.sampling.seed, variantIndex)
+              },
+              variantIndex,
+              variantCount
+            },
+            {
+              onStage: variantIndex === 0 ? options.onStage : undefined,
+              signal: options.signal,
+              stream: options.stream
+            }
+          );
+        },
+        {
+          policy: retryPolicy,
+          signal: options.signal,
+          onRetry({ attempt, maxAttempts, delayMs, error }) {
+            if (typeof options.onStage === "function") {
+              options.onStage({
+                stage: "RETRYING",
+                progress: 0.75,
+                attempt,
+                maxAttempts,
+                delayMs,
+                variantIndex,
+                errorCode: error.code ?? null,
+                message: `retrying (${attempt}/${maxAttempts})`
+              });
+            }
+          }
+        }
+      )
+    )
+  );
+
+  throwIfCancelled(options.signal);
+
+  // Each variant contributes its first image; extra images from one call fill slots left by empty variants.
+  const primaryOutputs = [];
+  const extraOutputs = [];
+  const modelTexts = [];
+  let modelVersion = null;
+  variantRuns.forEach((run, variantIndex) => {
+    if (run.status === "fulfilled") {
+      const [primary, ...extras] = run.value.outputs ?? [];
+      if (primary) {
+        primaryOutputs.push(primary);
+      }
+      extraOutputs.push(...extras);
+      modelVersion ??= run.value.modelVersion ?? null;
+      if (run.value.text) {
+        modelTexts.push(run.value.text);
+      }
+      return;
+    }
+    if (variantCount > 1) {
+      warnings.push(
+        `Variant ${variantIndex} failed: ${run.reason?.code || "UNEXPECTED_ERROR"} ${run.reason?.message || ""}`.trim()
+      );
+    }
+  });
+  const outputs = [...primaryOutputs, ...extraOutputs].slice(0, variantCount);
+
+  const usage = summarizeUsage(
+    targetModel,
+    variantRuns.map((run) =>
+      run.status === "fulfilled" ? run.value.usage : run.reason?.details?.usage
+    ),
+    {
+      imageCount: outputs.length,
+      attempts: attemptCounts.reduce((sum, count) => sum + count, 0),
+      priceTable: options.priceTable
+    }
+  );
+
+  if (outputs.length === 0) {
+    const rejected = variantRuns.find((run) => run.status === "rejected");
+    let error = rejected?.reason;
+    if (!rejected) {
+      error = new Error(`${provider.name} returned no image for any variant.`);
+      error.code = "NO_IMAGE_RETURNED";
+      error.retryable = false;
+      error.details = { provider: provider.name, model: targetModel };
+    }
+    if (error && typeof error === "object") {
+      error.details = {
+        ...(error.details ?? {}),
+        usage
+      };
+    }
     throw error;
   }
 
-  await sleep(150);
-
   if (typeof options.onStage === "function") {
     options.onStage({ stage: "OUTPUT_RENDER", progress: 1 });
   }
 
-  const output = extractOutputImage(resultJson);
   return {
     workflowGraph,
     warnings,
-    outputBuffer: output.outputBuffer,
-    outputMimeType: output.outputMimeType,
-    outputExtension: output.outputExtension
+    provider: provider.name,
+    usage,
+    fingerprint: createGenerationFingerprint(generationRequest, {
+      provider: provider.name,
+      modelVersion
+    }),
+    modelText: modelTexts.length > 0 ? [...new Set(modelTexts)].join("\n\n") : null,
+    outputs,
+    outputBuffer: outputs[0].outputBuffer,
+    outputMimeType: outputs[0].outputMimeType,
+    outputExtension: outputs[0].outputExtension
+  };
+}
+
+export async function previewGenerationRequest(contract, options = {}) {
+  const unresolvedRefs = new Set();
+  const unresolvedImage = (imageRef) => {
+    unresolvedRefs.add(imageRef);
+    return { mimeType: null, data: "", unresolvedRef: imageRef };
+  };
+  const { targetModel, provider, workflowGraph, warnings, generationRequest } =
+    await prepareGenerationRequest(contract, {
+      provider: options.provider,
+      history: options.history,
+      imageLoader: {
+        imageFetcher: {
+          async fetch(url) {
+            return { inlineData: unresolvedImage(url) };
+          }
+        },
+        resolveTaskRef: options.resolveTaskRef,
+        resolveAssetRef: options.resolveAssetRef,
+        resolveNodeRef: ({ nodeId, outputIndex }) =>
+          unresolvedImage(`node:${nodeId}${outputIndex === null ? "" : `#${outputIndex}`}`)
+      }
+    });
+  if (unresolvedRefs.size > 0) {
+    warnings.push(
+      `Not loaded during preview, so size and hash are unknown: ${[...unresolvedRefs].join(", ")}`
+    );
+  }
+
+  const variantCount = contract.variantCount ?? 1;
+  return {
+    provider: provider.name,
+    model: targetModel,
+    promptIndexing: workflowGraph.promptIndexing,
+    warnings,
+    systemPrompt: generationRequest.systemPrompt,
+    userPrompt: generationRequest.userPrompt,
+    variantCount,
+    variantSeeds: Array.from({ length: variantCount }, (_, variantIndex) =>
+      variantSeed(generationRequest.sampling.seed, variantIndex)
+    ),
+    requestBody:
+      typeof provider.buildRequestBody === "function"
+        ? provider.buildRequestBody(generationRequest, { redactImages: true })
+        : { parts: buildPartLayout(generationRequest, { redactImages: true }).parts }
   };
 }
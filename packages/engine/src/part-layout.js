@@ -0,0 +1,145 @@
+import { createHash } from "node:crypto";
+
+import { extractPromptIndexing, getFeatureType } from "../../shared/src/index.js";
+
+function withNote(caption, note) {
+  return note ? `${caption} Note: ${note}` : caption;
+}
+
+function describeImages(request) {
+  const images = [
+    {
+      token: "[Reference]",
+      caption: withNote(
+        `[Reference] Composition anchor. weight=${request.reference.weight.toFixed(2)}. Keep subject placement, perspective and spatial layout from this image.`,
+        request.reference.note
+      ),
+      inlineData: request.reference.inlineData
+    }
+  ];
+
+  if (request.reference.mask) {
+    images.push({
+      token: "[Mask]",
+      caption:
+        "[Mask] Edit mask for [Reference]. White pixels mark the only region you may change; black pixels must stay untouched.",
+      inlineData: request.reference.mask.inlineData
+    });
+  }
+
+  if (request.skeleton) {
+    images.push({
+      token: "[Skeleton]",
+      caption: withNote(
+        `[Skeleton] Pose / structure guide. weight=${request.skeleton.weight.toFixed(2)}.`,
+        request.skeleton.note
+      ),
+      inlineData: request.skeleton.inlineData
+    });
+  }
+
+  if (request.soul) {
+    images.push({
+      token: "[Soul]",
+      caption: withNote(
+        `[Soul] Mood / atmosphere anchor. weight=${request.soul.weight.toFixed(2)}.`,
+        request.soul.note
+      ),
+      inlineData: request.soul.inlineData
+    });
+  }
+
+  request.sources.forEach((source, index) => {
+    const definition = getFeatureType(source.featureType);
+    const label = definition ? ` (${definition.label.en})` : "";
+    images.push({
+      token: `[Source ${index}]`,
+      caption: withNote(
+        `[Source ${index}] featureType=${source.featureType}${label}, weight=${source.weight.toFixed(2)}. ${definition?.hint ?? ""}`.trim(),
+        source.note
+      ),
+      inlineData: source.inlineData
+    });
+  });
+
+  return images;
+}
+
+function describeTokenUsage(request) {
+  const indexing = extractPromptIndexing(request.prompt ?? "", request.sources.length);
+  const mentioned = [
+    indexing.usesReference ? "[Reference]" : null,
+    indexing.usesSkeleton && request.skeleton ? "[Skeleton]" : null,
+    indexing.usesSoul && request.soul ? "[Soul]" : null,
+    ...indexing.sourceIndexes
+      .filter((index) => !indexing.outOfRange.includes(index))
+      .map((index) => `[Source ${index}]`)
+  ].filter(Boolean);
+
+  if (mentioned.length === 0) {
+    return "";
+  }
+  return `The user prompt mentions ${mentioned.join(", ")}. Each token refers to the image directly after the caption that starts with the same token.`;
+}
+
+function redactInlineData(inlineData) {
+  if (inlineData.unresolvedRef) {
+    return {
+      mimeType: null,
+      byteLength: null,
+      sha256: null,
+      unresolvedRef: inlineData.unresolvedRef
+    };
+  }
+  const bytes = Buffer.from(inlineData.data, "base64");
+  return {
+    mimeType: inlineData.mimeType,
+    byteLength: bytes.length,
+    sha256: createHash("sha256").update(bytes).digest("hex")
+  };
+}
+
+export function buildPartLayout(request, { redactImages = false } = {}) {
+  const images = describeImages(request);
+  const tokenUsage = describeTokenUsage(request);
+  const intro = [
+    "Each input image below is preceded by a caption naming its role, weight and purpose."
+  ];
+  if (tokenUsage) {
+    intro.push(tokenUsage);
+  }
+  const parts = [
+    {
+      text: [...intro, "", request.userPrompt].join("\n")
+    }
+  ];
+  const tokens = {};
+
+  for (const image of images) {
+    tokens[image.token] = {
+      captionPartIndex: parts.length,
+      imagePartIndex: parts.length + 1
+    };
+    parts.push({ text: image.caption });
+    parts.push({
+      inline_data: redactImages ? redactInlineData(image.inlineData) : image.inlineData
+    });
+  }
+
+  return { parts, tokens };
+}
+
+export function buildHistoryContents(history = [], { redactImages = false } = {}) {
+  return history.map((turn) => ({
+    role: turn.role,
+    parts: turn.parts.map((part) => {
+      if (!part.inlineData) {
+        return { text: part.text ?? "" };
+      }
+      return {
+        inline_data: redactImages ? redactInlineData(part.inlineData) : part.inlineData,
+        ...(part.thoughtSignature ? { thought_signature: part.thoughtSignature } : {})
+      };
+    })
+  }));
+}
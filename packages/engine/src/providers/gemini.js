@@ -0,0 +1,534 @@
+import { buildHistoryContents, buildPartLayout } from "../part-layout.js";
+import { parseRetryAfter } from "../retry.js";
+import { normalizeUsageMetadata } from "../usage.js";
+import {
+  createCancelledError,
+  mimeTypeToExtension,
+  summarizeText
+} from "../utils.js";
+
+const DEFAULT_BASE_URL =
+  process.env.GEMINI_API_BASE_URL || "https://generativelanguage.googleapis.com/v1beta";
+
+const SAFETY_FINISH_REASONS = new Set([
+  "SAFETY",
+  "IMAGE_SAFETY",
+  "PROHIBITED_CONTENT",
+  "BLOCKLIST",
+  "SPII"
+]);
+const RECITATION_FINISH_REASONS = new Set(["RECITATION", "IMAGE_RECITATION"]);
+const THINKING_MODELS = new Set(["gemini-3-pro-image-preview"]);
+const STREAM_PROGRESS_SCALE_BYTES = 512 * 1024;
+
+function createResponseError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  error.details = {
+    provider: "gemini",
+    ...details
+  };
+  return error;
+}
+
+function flaggedSafetyRatings(ratings) {
+  if (!Array.isArray(ratings)) {
+    return [];
+  }
+  return ratings
+    .filter(
+      (rating) =>
+        rating?.blocked === true || rating?.probability === "HIGH" || rating?.probability === "MEDIUM"
+    )
+    .map((rating) => ({
+      category: rating.category ?? null,
+      probability: rating.probability ?? null,
+      blocked: rating.blocked === true
+    }));
+}
+
+function collectModelText(parts) {
+  const text = parts
+    .filter((part) => typeof part.text === "string" && part.thought !== true)
+    .map((part) => part.text.trim())
+    .filter(Boolean)
+    .join("\n");
+  return text.length > 0 ? text : null;
+}
+
+function parseGenerateContentResult(resultJson, model) {
+  const usage = normalizeUsageMetadata(resultJson?.usageMetadata);
+  const blockReason = resultJson?.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw createResponseError(
+      "SAFETY_BLOCKED",
+      `Gemini blocked the prompt (${blockReason}).`,
+      {
+        model,
+        blockReason,
+        explanation: resultJson.promptFeedback.blockReasonMessage ?? null,
+        safetyRatings: flaggedSafetyRatings(resultJson.promptFeedback.safetyRatings),
+        usage
+      }
+    );
+  }
+
+  const candidates = Array.isArray(resultJson?.candidates) ? resultJson.candidates : [];
+  const parts = candidates.flatMap((candidate) =>
+    Array.isArray(candidate?.content?.parts) ? candidate.content.parts : []
+  );
+  const modelText = collectModelText(parts);
+  const finishReasons = [
+    ...new Set(candidates.map((candidate) => candidate?.finishReason).filter(Boolean))
+  ];
+
+  // Thinking models may return interim draft images marked as thoughts; only final images count.
+  const imageParts = parts.filter(
+    (part) => (part.inlineData || part.inline_data) && part.thought !== true
+  );
+  if (imageParts.length === 0) {
+    const details = {
+      model,
+      finishReasons,
+      finishMessage:
+        candidates.map((candidate) => candidate?.finishMessage).find(Boolean) ?? null,
+      safetyRatings: candidates.flatMap((candidate) =>
+        flaggedSafetyRatings(candidate?.safetyRatings)
+      ),
+      explanation: modelText ? summarizeText(modelText, 1000) : null,
+      usage
+    };
+
+    const safetyReason = finishReasons.find((reason) => SAFETY_FINISH_REASONS.has(reason));
+    if (safetyReason) {
+      throw createResponseError(
+        "SAFETY_BLOCKED",
+        `Gemini stopped generation for safety reasons (${safetyReason}).`,
+        details
+      );
+    }
+    if (finishReasons.some((reason) => RECITATION_FINISH_REASONS.has(reason))) {
+      throw createResponseError(
+        "RECITATION",
+        "Gemini stopped generation because the output resembled protected content.",
+        details
+      );
+    }
+    if (candidates.length === 0) {
+      throw createResponseError("NO_IMAGE_RETURNED", "Gemini returned no candidates.", details);
+    }
+    throw createResponseError(
+      "NO_IMAGE_RETURNED",
+      modelText
+        ? `Gemini returned text only: ${summarizeText(modelText, 220)}`
+        : "Gemini returned no image part.",
+      details
+    );
+  }
+
+  const outputs = imageParts.map((imagePart) => {
+    const inlineData = imagePart.inlineData || imagePart.inline_data;
+    const mimeType = inlineData.mimeType || inlineData.mime_type || "image/png";
+    const base64Data = inlineData.data;
+    if (!base64Data) {
+      throw createResponseError("NO_IMAGE_RETURNED", "Gemini image part missing base64 data.", {
+        model,
+        finishReasons,
+        usage
+      });
+    }
+
+    return {
+      outputBuffer: Buffer.from(base64Data, "base64"),
+      outputMimeType: mimeType,
+      outputExtension: mimeTypeToExtension(mimeType),
+      thoughtSignature: imagePart.thoughtSignature || imagePart.thought_signature || null
+    };
+  });
+
+  return {
+    outputs,
+    text: modelText,
+    finishReasons,
+    modelVersion: resultJson?.modelVersion ?? null,
+    usage
+  };
+}
+
+function readRequestId(response) {
+  return (
+    response.headers.get("x-request-id") ||
+    response.headers.get("x-goog-request-id") ||
+    null
+  );
+}
+
+function parseDurationMs(value) {
+  const match = typeof value === "string" ? value.match(/^(\d+(?:\.\d+)?)s$/) : null;
+  return match ? Math.round(Number(match[1]) * 1000) : null;
+}
+
+export function classifyGeminiError(status, errorBody) {
+  const apiStatus = typeof errorBody?.status === "string" ? errorBody.status : "";
+  const message = typeof errorBody?.message === "string" ? errorBody.message : "";
+  const details = Array.isArray(errorBody?.details) ? errorBody.details : [];
+  const reasons = details.map((detail) => detail?.reason).filter(Boolean);
+  const quotaIds = details
+    .flatMap((detail) => (Array.isArray(detail?.violations) ? detail.violations : []))
+    .map((violation) => violation?.quotaId || "")
+    .filter(Boolean);
+  const retryDelayMs =
+    details.map((detail) => parseDurationMs(detail?.retryDelay)).find((value) => value !== null) ??
+    null;
+
+  if (
+    status === 401 ||
+    status === 403 ||
+    apiStatus === "UNAUTHENTICATED" ||
+    apiStatus === "PERMISSION_DENIED" ||
+    reasons.includes("API_KEY_INVALID")
+  ) {
+    return { code: "AUTH_FAILED", retryable: false, retryDelayMs };
+  }
+
+  if (status === 429 || apiStatus === "RESOURCE_EXHAUSTED") {
+    const isHardQuota =
+      quotaIds.some((quotaId) => /PerDay/i.test(quotaId)) || /limit:\s*0\b/.test(message);
+    return isHardQuota
+      ? { code: "QUOTA_EXCEEDED", retryable: false, retryDelayMs }
+      : { code: "RATE_LIMITED", retryable: true, retryDelayMs };
+  }
+
+  if (status === 404 || apiStatus === "NOT_FOUND") {
+    return { code: "MODEL_NOT_FOUND", retryable: false, retryDelayMs };
+  }
+
+  if (status === 400 || apiStatus === "INVALID_ARGUMENT" || apiStatus === "FAILED_PRECONDITION") {
+    return { code: "INVALID_ARGUMENT", retryable: false, retryDelayMs };
+  }
+
+  if (status >= 500 || apiStatus === "UNAVAILABLE" || apiStatus === "DEADLINE_EXCEEDED") {
+    return { code: "UPSTREAM_UNAVAILABLE", retryable: true, retryDelayMs };
+  }
+
+  return { code: "GEMINI_API_ERROR", retryable: false, retryDelayMs };
+}
+
+function buildRequestBody(
+  request,
+  { redactImages = false, includeThoughts = isStreamingEnabled({}) } = {}
+) {
+  const contents = [
+    ...buildHistoryContents(request.history, { redactImages }),
+    {
+      role: "user",
+      parts: buildPartLayout(request, { redactImages }).parts
+    }
+  ];
+
+  const imageConfig = {};
+  if (request.aspectRatio) {
+    imageConfig.aspectRatio = request.aspectRatio;
+  }
+  if (request.imageSize) {
+    imageConfig.imageSize = request.imageSize;
+  }
+
+  const sampling = {};
+  for (const key of ["seed", "temperature", "topP"]) {
+    if (request.sampling?.[key] !== null && request.sampling?.[key] !== undefined) {
+      sampling[key] = request.sampling[key];
+    }
+  }
+
+  return {
+    system_instruction: {
+      parts: [{ text: request.systemPrompt }]
+    },
+    contents,
+    generationConfig: {
+      responseModalities: ["IMAGE", "TEXT"],
+      ...sampling,
+      ...(Object.keys(imageConfig).length > 0 ? { imageConfig } : {}),
+      ...(includeThoughts && THINKING_MODELS.has(request.model)
+        ? { thinkingConfig: { includeThoughts: true } }
+        : {})
+    }
+  };
+}
+
+function createNetworkError(cause, request) {
+  const error = new Error(`Gemini API request failed: ${cause?.message || String(cause)}`);
+  error.code = "UPSTREAM_UNAVAILABLE";
+  error.retryable = true;
+  error.details = {
+    provider: "gemini",
+    model: request.model,
+    cause: cause?.cause?.code || cause?.code || null
+  };
+  return error;
+}
+
+function createApiError(response, resultJson, responseText, request) {
+  const message =
+    resultJson?.error?.message ||
+    `Gemini API request failed with status ${response.status}.`;
+  const detailSummary = summarizeText(
+    resultJson?.error
+      ? JSON.stringify(resultJson.error)
+      : responseText || "empty response body"
+  );
+  const classification = classifyGeminiError(response.status, resultJson?.error);
+  const retryAfterMs =
+    parseRetryAfter(response.headers.get("retry-after")) ?? classification.retryDelayMs;
+  const error = new Error(message);
+  error.code = classification.code;
+  error.retryable = classification.retryable;
+  error.retryAfterMs = retryAfterMs;
+  error.details = {
+    provider: "gemini",
+    model: request.model,
+    status: response.status,
+    statusText: response.statusText || null,
+    apiStatus: resultJson?.error?.status || null,
+    retryAfterMs,
+    requestId: readRequestId(response),
+    bodySummary: detailSummary
+  };
+  return error;
+}
+
+function isStreamingEnabled(options) {
+  if (typeof options.stream === "boolean") {
+    return options.stream;
+  }
+  return ["1", "true"].includes(String(process.env.GEMINI_STREAMING || "").toLowerCase());
+}
+
+function streamProgress(bytesReceived) {
+  return Number((0.75 + 0.2 * (1 - Math.exp(-bytesReceived / STREAM_PROGRESS_SCALE_BYTES))).toFixed(3));
+}
+
+// Text arrives split at arbitrary points, so consecutive fragments of the same kind are
+// rejoined into one part to match what generateContent returns.
+function appendStreamPart(parts, part) {
+  const last = parts.at(-1);
+  if (
+    typeof part.text === "string" &&
+    typeof last?.text === "string" &&
+    (part.thought === true) === (last.thought === true)
+  ) {
+    last.text += part.text;
+    const thoughtSignature = part.thoughtSignature || part.thought_signature;
+    if (thoughtSignature) {
+      last.thoughtSignature = thoughtSignature;
+    }
+    return;
+  }
+  parts.push({ ...part });
+}
+
+function mergeStreamChunks(chunks) {
+  const merged = { candidates: [] };
+  for (const chunk of chunks) {
+    if (chunk.promptFeedback) {
+      merged.promptFeedback = chunk.promptFeedback;
+    }
+    if (chunk.usageMetadata) {
+      merged.usageMetadata = chunk.usageMetadata;
+    }
+    if (chunk.modelVersion) {
+      merged.modelVersion = chunk.modelVersion;
+    }
+    (chunk.candidates ?? []).forEach((candidate, index) => {
+      const target = (merged.candidates[index] ??= { content: { parts: [] } });
+      for (const part of candidate?.content?.parts ?? []) {
+        appendStreamPart(target.content.parts, part);
+      }
+      for (const key of ["finishReason", "finishMessage", "safetyRatings"]) {
+        if (candidate?.[key] !== undefined) {
+          target[key] = candidate[key];
+        }
+      }
+    });
+  }
+  return merged;
+}
+
+function describeStreamChunk(chunk) {
+  const parts = (chunk.candidates ?? []).flatMap((candidate) => candidate?.content?.parts ?? []);
+  const image = parts.find((part) => (part.inlineData || part.inline_data) && part.thought !== true);
+  if (image) {
+    const inlineData = image.inlineData || image.inline_data;
+    return {
+      event: "image",
+      mimeType: inlineData.mimeType || inlineData.mime_type || null,
+      imageBytes: Math.floor(((inlineData.data ?? "").length * 3) / 4)
+    };
+  }
+
+  const thought = parts.filter((part) => part.thought === true && part.text).map((part) => part.text);
+  if (thought.length > 0) {
+    return { event: "thought", text: summarizeText(thought.join(""), 500) };
+  }
+
+  const text = parts.filter((part) => part.text).map((part) => part.text);
+  if (text.length > 0) {
+    return { event: "text", text: summarizeText(text.join(""), 500) };
+  }
+  return { event: "chunk" };
+}
+
+async function readEventStream(response, request, options) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let buffer = "";
+  let bytesReceived = 0;
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trimStart())
+      .join("\n");
+    if (!data) {
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      throw createApiError(response, null, data, request);
+    }
+    if (chunk.error) {
+      throw createApiError(response, chunk, data, request);
+    }
+
+    chunks.push(chunk);
+    if (typeof options.onStage === "function") {
+      const description = describeStreamChunk(chunk);
+      options.onStage({
+        stage: "STREAMING",
+        progress: description.event === "image" ? 0.95 : streamProgress(bytesReceived),
+        chunkIndex: chunks.length - 1,
+        bytesReceived,
+        ...description
+      });
+    }
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      bytesReceived += value.byteLength;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.search(/\r?\n\r?\n/);
+      while (boundary !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+        handleEvent(rawEvent);
+        boundary = buffer.search(/\r?\n\r?\n/);
+      }
+    }
+    handleEvent(buffer + decoder.decode());
+  } catch (cause) {
+    if (options.signal?.aborted) {
+      throw createCancelledError(options.signal);
+    }
+    if (cause?.code) {
+      throw cause;
+    }
+    throw createNetworkError(cause, request);
+  }
+
+  return mergeStreamChunks(chunks);
+}
+
+async function generate(request, options = {}) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error("Missing GEMINI_API_KEY environment variable.");
+  }
+
+  const streaming = isStreamingEnabled(options);
+  const requestBody = buildRequestBody(request, { includeThoughts: streaming });
+  const method = streaming ? "streamGenerateContent?alt=sse" : "generateContent";
+  const endpoint = `${DEFAULT_BASE_URL}/models/${encodeURIComponent(request.model)}:${method}`;
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-goog-api-key": apiKey
+      },
+      body: JSON.stringify(requestBody),
+      signal: options.signal
+    });
+  } catch (cause) {
+    if (options.signal?.aborted) {
+      throw createCancelledError(options.signal);
+    }
+    throw createNetworkError(cause, request);
+  }
+
+  if (streaming && response.ok) {
+    return parseGenerateContentResult(
+      await readEventStream(response, request, options),
+      request.model
+    );
+  }
+
+  let responseText;
+  try {
+    responseText = await response.text();
+  } catch (cause) {
+    if (options.signal?.aborted) {
+      throw createCancelledError(options.signal);
+    }
+    throw cause;
+  }
+  let resultJson = null;
+  if (responseText) {
+    try {
+      resultJson = JSON.parse(responseText);
+    } catch {
+      resultJson = null;
+    }
+  }
+
+  if (!response.ok) {
+    throw createApiError(response, resultJson, responseText, request);
+  }
+
+  if (!resultJson) {
+    const error = new Error("Gemini returned non-JSON success response.");
+    error.code = "GEMINI_API_ERROR";
+    error.details = {
+      provider: "gemini",
+      model: request.model,
+      status: response.status,
+      statusText: response.statusText || null,
+      requestId: readRequestId(response),
+      bodySummary: summarizeText(responseText || "empty response body")
+    };
+    throw error;
+  }
+
+  return parseGenerateContentResult(resultJson, request.model);
+}
+
+export function createGeminiProvider() {
+  return {
+    name: "gemini",
+    buildRequestBody,
+    generate
+  };
+}
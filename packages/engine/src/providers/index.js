@@ -0,0 +1,47 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+
+const MODEL_PROVIDERS = Object.freeze({
+  "gemini-3-pro-image-preview": "gemini",
+  "gemini-2.5-flash-image": "gemini",
+  "mock-image": "mock"
+});
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  if (
+    !provider ||
+    typeof provider.name !== "string" ||
+    provider.name.length === 0 ||
+    typeof provider.generate !== "function"
+  ) {
+    throw new TypeError("provider must have a name and a generate(request, options) function");
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    const error = new Error(`Unknown generation provider: ${name}`);
+    error.code = "PROVIDER_NOT_FOUND";
+    error.details = { provider: name, available: [...providers.keys()] };
+    throw error;
+  }
+  return provider;
+}
+
+// GENERATION_PROVIDER only covers models without a built-in mapping, so mock-image never reaches Gemini.
+export function resolveProvider(model, override) {
+  const name =
+    override ||
+    MODEL_PROVIDERS[model] ||
+    process.env.GENERATION_PROVIDER ||
+    "gemini";
+  return getProvider(name);
+}
+
+registerProvider(createGeminiProvider());
+registerProvider(createMockProvider());
@@ -0,0 +1,176 @@
+import { createHash } from "node:crypto";
+import { deflateSync } from "node:zlib";
+
+import { buildHistoryContents, buildPartLayout } from "../part-layout.js";
+import { pngChunk } from "../png.js";
+import { sleep } from "../utils.js";
+
+const MOCK_LONG_EDGES = Object.freeze({
+  "1K": 256,
+  "2K": 384,
+  "4K": 512
+});
+const MOCK_SAMPLING_STEPS = 4;
+const MOCK_TOKENS_PER_INPUT_IMAGE = 258;
+const MOCK_MODEL_VERSION = "mock-image-v1";
+const MOCK_TOKENS_PER_OUTPUT_IMAGE = 1290;
+
+export function encodeRgbPng(width, height, pixelAt) {
+  const rowLength = width * 3 + 1;
+  const raw = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y += 1) {
+    raw[y * rowLength] = 0;
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b] = pixelAt(x, y);
+      const offset = y * rowLength + 1 + x * 3;
+      raw[offset] = r;
+      raw[offset + 1] = g;
+      raw[offset + 2] = b;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+function fingerprintRequest(request) {
+  const hash = createHash("sha256");
+  hash.update(request.model);
+  hash.update(String(request.variantIndex ?? 0));
+  hash.update(`${request.aspectRatio ?? ""}|${request.imageSize ?? ""}`);
+  hash.update(JSON.stringify(request.sampling ?? null));
+  hash.update(request.systemPrompt);
+  hash.update(request.userPrompt);
+  for (const turn of request.history ?? []) {
+    for (const part of turn.parts) {
+      hash.update(`${turn.role}:${part.text ?? part.inlineData?.data ?? ""}`);
+    }
+  }
+  hash.update(request.reference.inlineData.data);
+  hash.update(request.reference.mask?.inlineData.data ?? "");
+  hash.update(request.skeleton?.inlineData.data ?? "");
+  hash.update(request.soul?.inlineData.data ?? "");
+  for (const source of request.sources) {
+    hash.update(source.inlineData.data);
+  }
+  return hash.digest();
+}
+
+function mix(from, to, ratio) {
+  return Math.round(from + (to - from) * ratio);
+}
+
+function resolveDimensions(request) {
+  const longEdge = MOCK_LONG_EDGES[request.imageSize] ?? MOCK_LONG_EDGES["1K"];
+  const [ratioWidth, ratioHeight] = (request.aspectRatio || "1:1").split(":").map(Number);
+  if (ratioWidth >= ratioHeight) {
+    return { width: longEdge, height: Math.round((longEdge * ratioHeight) / ratioWidth) };
+  }
+  return { width: Math.round((longEdge * ratioWidth) / ratioHeight), height: longEdge };
+}
+
+function synthesizeImage(request) {
+  const { width, height } = resolveDimensions(request);
+  const digest = fingerprintRequest(request);
+  const start = [digest[0], digest[1], digest[2]];
+  const end = [digest[3], digest[4], digest[5]];
+  const bandColors = request.sources.map((source, index) => [
+    digest[(6 + index * 3) % digest.length],
+    digest[(7 + index * 3) % digest.length],
+    digest[(8 + index * 3) % digest.length]
+  ]);
+  const bandHeight = Math.max(1, Math.floor(height / 8));
+
+  return encodeRgbPng(width, height, (x, y) => {
+    const bandIndex = Math.floor((height - 1 - y) / bandHeight);
+    if (bandIndex < bandColors.length) {
+      const ratio = request.sources[bandIndex].weight;
+      const base = (x + y) / (width + height);
+      return bandColors[bandIndex].map((channel, i) =>
+        mix(mix(start[i], end[i], base), channel, ratio)
+      );
+    }
+    const ratio = (x + y) / (width + height);
+    return start.map((channel, i) => mix(channel, end[i], ratio));
+  });
+}
+
+function resolveLatencyMs() {
+  const parsed = Number(process.env.MOCK_PROVIDER_LATENCY_MS);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 1200;
+}
+
+async function generate(request, options = {}) {
+  const latencyMs = resolveLatencyMs();
+  for (let step = 1; step <= MOCK_SAMPLING_STEPS; step += 1) {
+    await sleep(latencyMs / MOCK_SAMPLING_STEPS, options.signal);
+    if (typeof options.onStage === "function" && step < MOCK_SAMPLING_STEPS) {
+      options.onStage({
+        stage: "DIFFUSION_SAMPLING",
+        progress: Number((0.75 + (0.2 * step) / MOCK_SAMPLING_STEPS).toFixed(2)),
+        step,
+        totalSteps: MOCK_SAMPLING_STEPS
+      });
+    }
+  }
+
+  const historyImageCount = (request.history ?? []).reduce(
+    (count, turn) => count + turn.parts.filter((part) => part.inlineData).length,
+    0
+  );
+  const promptTokens =
+    Math.ceil((request.systemPrompt.length + request.userPrompt.length) / 4) +
+    MOCK_TOKENS_PER_INPUT_IMAGE *
+      (1 +
+        (request.reference.mask ? 1 : 0) +
+        (request.skeleton ? 1 : 0) +
+        (request.soul ? 1 : 0) +
+        request.sources.length +
+        historyImageCount);
+
+  return {
+    outputs: [
+      {
+        outputBuffer: synthesizeImage(request),
+        outputMimeType: "image/png",
+        outputExtension: "png"
+      }
+    ],
+    modelVersion: MOCK_MODEL_VERSION,
+    usage: {
+      promptTokens,
+      candidateTokens: MOCK_TOKENS_PER_OUTPUT_IMAGE,
+      thoughtTokens: 0,
+      totalTokens: promptTokens + MOCK_TOKENS_PER_OUTPUT_IMAGE
+    }
+  };
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    buildRequestBody(request) {
+      return {
+        model: request.model,
+        systemPrompt: request.systemPrompt,
+        sampling: request.sampling,
+        history: buildHistoryContents(request.history, { redactImages: true }),
+        parts: buildPartLayout(request, { redactImages: true }).parts
+      };
+    },
+    generate
+  };
+}
@@ -0,0 +1,87 @@
+import { isCancelledError, sleep } from "./utils.js";
+
+function readNumberEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function resolveRetryPolicy(overrides = {}) {
+  return {
+    maxAttempts: Math.max(
+      1,
+      Math.floor(overrides.maxAttempts ?? readNumberEnv("GENERATION_MAX_ATTEMPTS", 4))
+    ),
+    baseDelayMs: overrides.baseDelayMs ?? readNumberEnv("GENERATION_RETRY_BASE_DELAY_MS", 1000),
+    maxDelayMs: overrides.maxDelayMs ?? readNumberEnv("GENERATION_RETRY_MAX_DELAY_MS", 30000),
+    jitterRatio: overrides.jitterRatio ?? 0.25
+  };
+}
+
+export function parseRetryAfter(headerValue, nowMs = Date.now()) {
+  if (typeof headerValue !== "string" || headerValue.trim().length === 0) {
+    return null;
+  }
+
+  const seconds = Number(headerValue.trim());
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+
+  const dateMs = Date.parse(headerValue);
+  if (Number.isFinite(dateMs)) {
+    return Math.max(0, dateMs - nowMs);
+  }
+  return null;
+}
+
+// A server-sent delay is a lower bound: waiting less would only hit the limit again,
+// so one longer than maxDelayMs returns null and the caller gives up instead.
+export function computeRetryDelay(attempt, policy, retryAfterMs = null) {
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs <= policy.maxDelayMs ? retryAfterMs : null;
+  }
+
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const jitter = exponential * policy.jitterRatio * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + jitter));
+}
+
+export async function withRetry(
+  operation,
+  { policy = resolveRetryPolicy(), onRetry, signal } = {}
+) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (isCancelledError(error)) {
+        throw error;
+      }
+
+      const retryable = Boolean(error && error.retryable);
+      const delayMs = retryable
+        ? computeRetryDelay(attempt, policy, error.retryAfterMs ?? null)
+        : null;
+      if (delayMs === null || attempt >= policy.maxAttempts) {
+        if (error && typeof error === "object") {
+          error.details = {
+            ...(error.details ?? {}),
+            attempts: attempt,
+            ...(retryable && delayMs === null ? { retryAfterMs: error.retryAfterMs } : {})
+          };
+        }
+        throw error;
+      }
+
+      if (typeof onRetry === "function") {
+        onRetry({
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          delayMs,
+          error
+        });
+      }
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+import { SUPPORTED_MODELS } from "../../shared/src/index.js";
+
+const DEFAULT_PRICE_TABLE = Object.freeze({
+  "gemini-3-pro-image-preview": Object.freeze({
+    inputPerMillionTokens: 2,
+    outputPerMillionTokens: 120
+  }),
+  "gemini-2.5-flash-image": Object.freeze({
+    inputPerMillionTokens: 0.3,
+    outputPerMillionTokens: 30
+  }),
+  "mock-image": Object.freeze({
+    inputPerMillionTokens: 0,
+    outputPerMillionTokens: 0
+  })
+});
+
+function toCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.round(parsed) : 0;
+}
+
+export function parsePriceOverrides(raw) {
+  if (!raw) {
+    return {};
+  }
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch {
+    throw new Error("MODEL_PRICING must be a JSON object keyed by model id.");
+  }
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new Error("MODEL_PRICING must be a JSON object keyed by model id.");
+  }
+  for (const [model, price] of Object.entries(overrides)) {
+    if (typeof price !== "object" || price === null || Array.isArray(price)) {
+      throw new Error(`MODEL_PRICING.${model} must be an object of per-million-token prices.`);
+    }
+    for (const field of ["inputPerMillionTokens", "outputPerMillionTokens"]) {
+      if (price[field] !== undefined && !(Number.isFinite(price[field]) && price[field] >= 0)) {
+        throw new Error(`MODEL_PRICING.${model}.${field} must be a non-negative number.`);
+      }
+    }
+  }
+  return overrides;
+}
+
+export function resolvePriceTable(overrides = {}) {
+  return Object.fromEntries(
+    SUPPORTED_MODELS.map((model) => [
+      model,
+      {
+        inputPerMillionTokens: 0,
+        outputPerMillionTokens: 0,
+        ...DEFAULT_PRICE_TABLE[model],
+        ...overrides[model]
+      }
+    ])
+  );
+}
+
+export function normalizeUsageMetadata(usageMetadata) {
+  return {
+    promptTokens: toCount(usageMetadata?.promptTokenCount),
+    candidateTokens: toCount(usageMetadata?.candidatesTokenCount),
+    thoughtTokens: toCount(usageMetadata?.thoughtsTokenCount),
+    totalTokens: toCount(usageMetadata?.totalTokenCount)
+  };
+}
+
+export function summarizeUsage(
+  model,
+  usages,
+  { imageCount = 0, attempts = 0, priceTable = DEFAULT_PRICE_TABLE } = {}
+) {
+  const totals = usages.filter(Boolean).reduce(
+    (sum, usage) => ({
+      promptTokens: sum.promptTokens + toCount(usage.promptTokens),
+      candidateTokens: sum.candidateTokens + toCount(usage.candidateTokens),
+      thoughtTokens: sum.thoughtTokens + toCount(usage.thoughtTokens),
+      totalTokens: sum.totalTokens + toCount(usage.totalTokens)
+    }),
+    { promptTokens: 0, candidateTokens: 0, thoughtTokens: 0, totalTokens: 0 }
+  );
+  const price = priceTable[model] ?? {
+    inputPerMillionTokens: 0,
+    outputPerMillionTokens: 0
+  };
+  const estimatedCostUsd =
+    (totals.promptTokens * price.inputPerMillionTokens +
+      (totals.candidateTokens + totals.thoughtTokens) * price.outputPerMillionTokens) /
+    1_000_000;
+
+  return {
+    model,
+    ...totals,
+    imageCount,
+    attempts,
+    estimatedCostUsd: Number(estimatedCostUsd.toFixed(6))
+  };
+}
+
+export function combineUsage(model, summaries) {
+  return summaries.filter(Boolean).reduce(
+    (sum, usage) => ({
+      model,
+      promptTokens: sum.promptTokens + toCount(usage.promptTokens),
+      candidateTokens: sum.candidateTokens + toCount(usage.candidateTokens),
+      thoughtTokens: sum.thoughtTokens + toCount(usage.thoughtTokens),
+      totalTokens: sum.totalTokens + toCount(usage.totalTokens),
+      imageCount: sum.imageCount + toCount(usage.imageCount),
+      attempts: sum.attempts + toCount(usage.attempts),
+      estimatedCostUsd: Number((sum.estimatedCostUsd + (usage.estimatedCostUsd || 0)).toFixed(6))
+    }),
+    summarizeUsage(model, [])
+  );
+}
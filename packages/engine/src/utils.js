@@ -0,0 +1,57 @@
+export function summarizeText(text, maxLength = 420) {
+  if (typeof text !== "string") {
+    return "";
+  }
+  const normalized = text.replace(/\s+/g, " ").trim();
+  if (normalized.length <= maxLength) {
+    return normalized;
+  }
+  return `${normalized.slice(0, maxLength - 3)}...`;
+}
+
+export function createCancelledError(signal) {
+  const error = new Error("Task was cancelled.");
+  error.name = "AbortError";
+  error.code = "TASK_CANCELLED";
+  error.details = {
+    reason: typeof signal?.reason === "string" ? signal.reason : null
+  };
+  return error;
+}
+
+export function isCancelledError(error) {
+  return Boolean(error && (error.code === "TASK_CANCELLED" || error.name === "AbortError"));
+}
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError(signal);
+  }
+}
+
+export function sleep(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createCancelledError(signal));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+export function mimeTypeToExtension(mimeType) {
+  if (mimeType.includes("jpeg") || mimeType.includes("jpg")) {
+    return "jpg";
+  }
+  if (mimeType.includes("webp")) {
+    return "webp";
+  }
+  return "png";
+}
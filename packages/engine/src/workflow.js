@@ -0,0 +1,285 @@
+import {
+  ContractValidationError,
+  mapContractImageRefs,
+  parseNodeImageRef
+} from "../../shared/src/index.js";
+import { createImageFetcher } from "./image-fetcher.js";
+import { imageRefToInlineData } from "./image-ref.js";
+import { previewGenerationRequest, runDualTrackGeneration } from "./index.js";
+import { combineUsage } from "./usage.js";
+import { isCancelledError, mimeTypeToExtension, throwIfCancelled } from "./utils.js";
+
+// Relative share of overall task progress; generation dominates wall time.
+const NODE_PROGRESS_WEIGHTS = Object.freeze({
+  load_image: 0.1,
+  generate: 1,
+  select: 0.02
+});
+
+function buildDefaultWorkflow(contract) {
+  return {
+    nodes: [{ ...contract, id: "generate", type: "generate", dependsOn: [] }],
+    edges: [],
+    order: ["generate"],
+    output: "generate"
+  };
+}
+
+function collectRequiredNodes(workflow, nodesById) {
+  const required = new Set();
+  const visit = (nodeId) => {
+    if (!required.has(nodeId)) {
+      required.add(nodeId);
+      nodesById.get(nodeId).dependsOn.forEach(visit);
+    }
+  };
+  visit(workflow.output);
+  return required;
+}
+
+function inlineDataToOutput(inlineData) {
+  return {
+    outputBuffer: Buffer.from(inlineData.data, "base64"),
+    outputMimeType: inlineData.mimeType,
+    outputExtension: mimeTypeToExtension(inlineData.mimeType)
+  };
+}
+
+function readNodeOutput(results, nodeId, outputIndex) {
+  const output = results.get(nodeId)?.outputs[outputIndex];
+  if (!output) {
+    throw new ContractValidationError(
+      "WORKFLOW_OUTPUT_NOT_FOUND",
+      `workflow node ${nodeId} did not produce output ${outputIndex}`,
+      { nodeId, outputIndex }
+    );
+  }
+  return output;
+}
+
+export async function runWorkflow(contract, options = {}) {
+  const workflow = contract.workflow ?? buildDefaultWorkflow(contract);
+  const nodesById = new Map(workflow.nodes.map((node) => [node.id, node]));
+  const required = collectRequiredNodes(workflow, nodesById);
+  const onStage = typeof options.onStage === "function" ? options.onStage : () => {};
+  // Once any node fails the workflow fails, so nodes still running are aborted instead of
+  // finishing paid generations whose results would be discarded.
+  const failFast = new AbortController();
+  const signal = options.signal
+    ? AbortSignal.any([options.signal, failFast.signal])
+    : failFast.signal;
+  const imageLoader = {
+    imageFetcher: createImageFetcher({ signal }),
+    resolveTaskRef: options.resolveTaskRef,
+    resolveAssetRef: options.resolveAssetRef
+  };
+
+  const states = new Map(
+    workflow.order.map((nodeId) => [
+      nodeId,
+      {
+        id: nodeId,
+        type: nodesById.get(nodeId).type,
+        dependsOn: nodesById.get(nodeId).dependsOn,
+        status: required.has(nodeId) ? "PENDING" : "SKIPPED",
+        startedAt: null,
+        durationMs: null,
+        outputCount: null,
+        errorCode: null
+      }
+    ])
+  );
+  const nodeProgress = new Map();
+  const results = new Map();
+  const totalWeight = [...required].reduce(
+    (sum, nodeId) => sum + NODE_PROGRESS_WEIGHTS[nodesById.get(nodeId).type],
+    0
+  );
+
+  const overallProgress = () =>
+    [...required].reduce((sum, nodeId) => {
+      const fraction =
+        states.get(nodeId).status === "DONE" ? 1 : nodeProgress.get(nodeId) ?? 0;
+      return sum + NODE_PROGRESS_WEIGHTS[nodesById.get(nodeId).type] * fraction;
+    }, 0) / totalWeight;
+
+  const snapshot = () => ({
+    output: workflow.output,
+    edges: workflow.edges,
+    nodes: workflow.order.map((nodeId) => ({ ...states.get(nodeId) }))
+  });
+
+  const setNodeState = (nodeId, patch) => {
+    Object.assign(states.get(nodeId), patch);
+    onStage({
+      stage: "WORKFLOW_NODE",
+      progress: overallProgress(),
+      nodeId,
+      status: states.get(nodeId).status,
+      workflowRun: snapshot()
+    });
+  };
+
+  async function executeNode(node) {
+    if (node.type === "load_image") {
+      return { outputs: [inlineDataToOutput(await imageRefToInlineData(node.imageRef, imageLoader))] };
+    }
+
+    if (node.type === "select") {
+      const { nodeId } = parseNodeImageRef(node.from);
+      return {
+        outputs: node.indexes.map((index) => readNodeOutput(results, nodeId, index)),
+        generation: results.get(nodeId).generation
+      };
+    }
+
+    const generation = await runDualTrackGeneration(node, {
+      signal,
+      provider: options.provider,
+      retryPolicy: options.retryPolicy,
+      priceTable: options.priceTable,
+      stream: options.stream,
+      resolveTaskRef: options.resolveTaskRef,
+      resolveAssetRef: options.resolveAssetRef,
+      resolveNodeRef({ nodeId, outputIndex }) {
+        const output = readNodeOutput(results, nodeId, outputIndex ?? 0);
+        return {
+          mimeType: output.outputMimeType,
+          data: output.outputBuffer.toString("base64")
+        };
+      },
+      history: contract.workflow ? undefined : options.history,
+      onStage(stage) {
+        nodeProgress.set(node.id, Number(stage.progress) || 0);
+        onStage({ ...stage, nodeId: node.id, progress: overallProgress() });
+      }
+    });
+    return { outputs: generation.outputs, generation };
+  }
+
+  async function runNode(node) {
+    const startedAtMs = Date.now();
+    setNodeState(node.id, { status: "RUNNING", startedAt: new Date(startedAtMs).toISOString() });
+    try {
+      const result = await executeNode(node);
+      results.set(node.id, result);
+      setNodeState(node.id, {
+        status: "DONE",
+        durationMs: Date.now() - startedAtMs,
+        outputCount: result.outputs.length
+      });
+      return { nodeId: node.id, error: null };
+    } catch (error) {
+      const abortedBySibling =
+        failFast.signal.aborted && !options.signal?.aborted && isCancelledError(error);
+      setNodeState(node.id, {
+        status: abortedBySibling ? "CANCELLED" : "FAILED",
+        durationMs: Date.now() - startedAtMs,
+        errorCode: error?.code ?? "UNEXPECTED_ERROR"
+      });
+      return { nodeId: node.id, error };
+    }
+  }
+
+  throwIfCancelled(options.signal);
+  const pending = workflow.order.filter((nodeId) => required.has(nodeId));
+  const running = new Map();
+  let failure = null;
+  while (pending.length > 0 || running.size > 0) {
+    if (!failure) {
+      for (const nodeId of [...pending]) {
+        const node = nodesById.get(nodeId);
+        if (node.dependsOn.every((dependency) => states.get(dependency).status === "DONE")) {
+          pending.splice(pending.indexOf(nodeId), 1);
+          running.set(nodeId, runNode(node));
+        }
+      }
+    }
+    if (running.size === 0) {
+      break;
+    }
+    const settled = await Promise.race(running.values());
+    running.delete(settled.nodeId);
+    failure ??= settled.error;
+    if (failure && !failFast.signal.aborted) {
+      failFast.abort("WORKFLOW_NODE_FAILED");
+    }
+  }
+
+  const generateNodeIds = workflow.order.filter(
+    (nodeId) => nodesById.get(nodeId).type === "generate" && results.has(nodeId)
+  );
+  const outputResult = results.get(workflow.output);
+  const model = outputResult?.generation.workflowGraph.model ?? contract.model;
+
+  if (failure) {
+    for (const nodeId of pending) {
+      setNodeState(nodeId, { status: "SKIPPED" });
+    }
+    if (typeof failure === "object") {
+      failure.details = {
+        ...(failure.details ?? {}),
+        usage: combineUsage(model, [
+          ...generateNodeIds.map((nodeId) => results.get(nodeId).generation.usage),
+          failure.details?.usage
+        ])
+      };
+    }
+    throw failure;
+  }
+
+  const warnings = generateNodeIds.flatMap((nodeId) =>
+    results
+      .get(nodeId)
+      .generation.warnings.map((warning) => (contract.workflow ? `[${nodeId}] ${warning}` : warning))
+  );
+
+  return {
+    ...outputResult.generation,
+    warnings,
+    usage: combineUsage(
+      model,
+      generateNodeIds.map((nodeId) => results.get(nodeId).generation.usage)
+    ),
+    workflowRun: snapshot(),
+    outputs: outputResult.outputs,
+    outputBuffer: outputResult.outputs[0].outputBuffer,
+    outputMimeType: outputResult.outputs[0].outputMimeType,
+    outputExtension: outputResult.outputs[0].outputExtension
+  };
+}
+
+export async function previewWorkflow(contract, options = {}) {
+  const workflow = contract.workflow ?? buildDefaultWorkflow(contract);
+  const nodesById = new Map(workflow.nodes.map((node) => [node.id, node]));
+  const required = collectRequiredNodes(workflow, nodesById);
+  const requests = [];
+  for (const nodeId of workflow.order) {
+    const node = nodesById.get(nodeId);
+    if (required.has(nodeId) && node.type === "generate") {
+      // load_image outputs are known without running anything, so preview them in place.
+      const previewContract = mapContractImageRefs(node, (imageRef) => {
+        const upstream = nodesById.get(parseNodeImageRef(imageRef)?.nodeId);
+        return upstream?.type === "load_image" ? upstream.imageRef : imageRef;
+      });
+      const preview = await previewGenerationRequest(previewContract, {
+        provider: options.provider,
+        resolveTaskRef: options.resolveTaskRef,
+        resolveAssetRef: options.resolveAssetRef,
+        history: contract.workflow ? undefined : options.history
+      });
+      requests.push({ nodeId, ...preview });
+    }
+  }
+
+  return {
+    taskId: contract.taskId,
+    workflow: contract.workflow
+      ? { order: workflow.order, edges: workflow.edges, output: workflow.output }
+      : null,
+    warnings: requests.flatMap(({ nodeId, warnings }) =>
+      warnings.map((warning) => (contract.workflow ? `[${nodeId}] ${warning}` : warning))
+    ),
+    requests
+  };
+}
@@ -0,0 +1,112 @@
+import fs from "node:fs";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+import { readImageDimensions, sniffImageMimeType } from "../../engine/src/index.js";
+import { ContractValidationError } from "../../shared/src/index.js";
+import { sha256Hex } from "./provenance.js";
+
+const ASSET_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif"
+};
+
+export function toAssetView(asset) {
+  const { file, ...view } = asset;
+  return {
+    ...view,
+    imageRef: `asset:${asset.assetId}`,
+    url: `/api/assets/${asset.assetId}/content`
+  };
+}
+
+// Assets are stored under their SHA-256, so uploading the same bytes twice reuses one file.
+export function createAssetStore({ directory, maxBytes }) {
+  const metadataPath = (assetId) => path.join(directory, `${assetId}.json`);
+
+  async function writeAtomically(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await writeFile(tempPath, data);
+    await rename(tempPath, filePath);
+  }
+
+  async function get(assetId) {
+    try {
+      return JSON.parse(await readFile(metadataPath(assetId), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    async init() {
+      await mkdir(directory, { recursive: true });
+    },
+
+    has(assetId) {
+      return fs.existsSync(metadataPath(assetId));
+    },
+
+    get,
+
+    async put(buffer, { filename = null } = {}) {
+      if (buffer.length === 0) {
+        throw new ContractValidationError("INVALID_ASSET", "asset upload is empty");
+      }
+      if (buffer.length > maxBytes) {
+        throw new ContractValidationError(
+          "ASSET_TOO_LARGE",
+          `asset is ${buffer.length} bytes; the limit is ${maxBytes}`,
+          { byteLength: buffer.length, maxBytes }
+        );
+      }
+      const mimeType = sniffImageMimeType(buffer);
+      if (!ASSET_EXTENSIONS[mimeType]) {
+        throw new ContractValidationError(
+          "UNSUPPORTED_ASSET_TYPE",
+          "asset must be a PNG, JPEG, WebP or GIF image",
+          { filename }
+        );
+      }
+
+      const assetId = sha256Hex(buffer);
+      const existing = await get(assetId);
+      if (existing) {
+        return { asset: existing, created: false };
+      }
+
+      const dimensions = readImageDimensions(buffer);
+      const asset = {
+        assetId,
+        mimeType,
+        byteLength: buffer.length,
+        width: dimensions?.width ?? null,
+        height: dimensions?.height ?? null,
+        filename,
+        file: `${assetId}.${ASSET_EXTENSIONS[mimeType]}`,
+        createdAt: new Date().toISOString()
+      };
+      await writeAtomically(path.join(directory, asset.file), buffer);
+      await writeAtomically(metadataPath(assetId), JSON.stringify(asset));
+      return { asset, created: true };
+    },
+
+    async read(assetId) {
+      const asset = await get(assetId);
+      if (!asset) {
+        throw new ContractValidationError("ASSET_NOT_FOUND", `asset ${assetId} does not exist`, {
+          assetId
+        });
+      }
+      return {
+        asset,
+        data: await readFile(path.join(directory, asset.file))
+      };
+    }
+  };
+}
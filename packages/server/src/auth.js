@@ -0,0 +1,194 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+import { HttpError } from "./http-error.js";
+
+const RATE_WINDOW_MS = 60 * 1000;
+const ACCESS_TOKEN_PARAM = "access_token";
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest();
+}
+
+function readLimit(value, fallback, field) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${field} must be a non-negative integer (0 means unlimited).`);
+  }
+  return value;
+}
+
+export function parseApiKeys(raw, defaults = {}) {
+  const rateLimitPerMinute = readLimit(defaults.rateLimitPerMinute, 0, "API_RATE_LIMIT_PER_MINUTE");
+  const dailyQuota = readLimit(defaults.dailyQuota, 0, "API_DAILY_QUOTA");
+  if (!raw) {
+    return [];
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error("API_KEYS must be a JSON array of { key, clientId } objects.");
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error("API_KEYS must be a JSON array of { key, clientId } objects.");
+  }
+
+  const seenKeys = new Set();
+  return parsed.map((entry, index) => {
+    if (typeof entry?.key !== "string" || entry.key.length < 8) {
+      throw new Error(`API_KEYS[${index}].key must be a string of at least 8 characters.`);
+    }
+    if (typeof entry.clientId !== "string" || !entry.clientId.trim()) {
+      throw new Error(`API_KEYS[${index}].clientId must be a non-empty string.`);
+    }
+    if (seenKeys.has(entry.key)) {
+      throw new Error(`API_KEYS[${index}].key is listed more than once.`);
+    }
+    seenKeys.add(entry.key);
+    return {
+      key: entry.key,
+      clientId: entry.clientId.trim(),
+      admin: entry.admin === true,
+      rateLimitPerMinute: readLimit(
+        entry.rateLimitPerMinute,
+        rateLimitPerMinute,
+        `API_KEYS[${index}].rateLimitPerMinute`
+      ),
+      dailyQuota: readLimit(entry.dailyQuota, dailyQuota, `API_KEYS[${index}].dailyQuota`)
+    };
+  });
+}
+
+function readToken(req, requestUrl) {
+  const authorization = String(req.headers.authorization || "");
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1].trim();
+  }
+  if (req.headers["x-api-key"]) {
+    return String(req.headers["x-api-key"]).trim();
+  }
+  // EventSource, <img> and download links cannot set headers, so GET requests may pass the key in the URL.
+  if (req.method === "GET") {
+    return requestUrl.searchParams.get(ACCESS_TOKEN_PARAM);
+  }
+  return null;
+}
+
+// With no keys configured every request is anonymous (client === null) and nothing is limited.
+export function createApiKeyAuth({ keys, now = () => Date.now() }) {
+  const clients = keys.map(({ key, ...client }) => ({ client, keyHash: hashKey(key) }));
+  const recentSubmissions = new Map();
+  const dailyUsage = new Map();
+
+  function dayOf(timeMs) {
+    return new Date(timeMs).toISOString().slice(0, 10);
+  }
+
+  function usedToday(clientId) {
+    const usage = dailyUsage.get(clientId);
+    return usage?.day === dayOf(now()) ? usage.count : 0;
+  }
+
+  return {
+    enabled: clients.length > 0,
+
+    authenticate(req, requestUrl) {
+      if (clients.length === 0) {
+        return null;
+      }
+      const token = readToken(req, requestUrl);
+      if (!token) {
+        throw new HttpError(401, "an API key is required", "UNAUTHORIZED", {
+          "www-authenticate": 'Bearer realm="meie"'
+        });
+      }
+      const tokenHash = hashKey(token);
+      const match = clients.find(({ keyHash }) => timingSafeEqual(keyHash, tokenHash));
+      if (!match) {
+        throw new HttpError(401, "the API key is not valid", "INVALID_API_KEY", {
+          "www-authenticate": 'Bearer realm="meie", error="invalid_token"'
+        });
+      }
+      return match.client;
+    },
+
+    findClient(clientId) {
+      return clients.find(({ client }) => client.clientId === clientId)?.client ?? null;
+    },
+
+    canAccess(client, owner) {
+      return !client || client.admin || client.clientId === owner;
+    },
+
+    requireAdmin(client) {
+      if (client && !client.admin) {
+        throw new HttpError(403, "this route requires an admin API key", "FORBIDDEN");
+      }
+    },
+
+    // Sliding one-minute window over submissions (new tasks, batches, retries, clones).
+    consumeSubmission(client) {
+      if (!client || client.rateLimitPerMinute === 0) {
+        return;
+      }
+      const nowMs = now();
+      const recent = (recentSubmissions.get(client.clientId) ?? []).filter(
+        (at) => at > nowMs - RATE_WINDOW_MS
+      );
+      if (recent.length >= client.rateLimitPerMinute) {
+        const retryAfterSeconds = Math.ceil((recent[0] + RATE_WINDOW_MS - nowMs) / 1000);
+        recentSubmissions.set(client.clientId, recent);
+        throw new HttpError(
+          429,
+          `rate limit of ${client.rateLimitPerMinute} submissions per minute reached; retry in ${retryAfterSeconds}s`,
+          "RATE_LIMITED",
+          { "retry-after": String(retryAfterSeconds) }
+        );
+      }
+      recent.push(nowMs);
+      recentSubmissions.set(client.clientId, recent);
+    },
+
+    ensureQuota(client, count = 1) {
+      if (!client || client.dailyQuota === 0) {
+        return;
+      }
+      const used = usedToday(client.clientId);
+      if (used + count > client.dailyQuota) {
+        const nextDayMs = Date.parse(`${dayOf(now())}T00:00:00.000Z`) + 24 * 60 * 60 * 1000;
+        throw new HttpError(
+          429,
+          `daily quota of ${client.dailyQuota} generations reached (${used} used today)`,
+          "QUOTA_EXCEEDED",
+          { "retry-after": String(Math.ceil((nextDayMs - now()) / 1000)) }
+        );
+      }
+    },
+
+    recordGenerations(clientId, count = 1, at = new Date(now()).toISOString()) {
+      if (!clientId) {
+        return;
+      }
+      const day = at.slice(0, 10);
+      const usage = dailyUsage.get(clientId);
+      if (usage?.day === day) {
+        usage.count += count;
+      } else if (!usage || usage.day < day) {
+        dailyUsage.set(clientId, { day, count });
+      }
+    },
+
+    usage(client) {
+      return {
+        clientId: client.clientId,
+        admin: client.admin,
+        rateLimitPerMinute: client.rateLimitPerMinute,
+        dailyQuota: client.dailyQuota,
+        usedToday: usedToday(client.clientId)
+      };
+    }
+  };
+}
@@ -0,0 +1,335 @@
+import { ContractValidationError, validateGenerationContract } from "../../shared/src/index.js";
+
+const BATCH_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SWEEP_PATH_PATTERN = /^(?:(reference|skeleton|soul)|sources\.(\d+))\.weight$/;
+const MAX_SWEEP_VALUES = 20;
+// Never valid contract fields; writing them would reach Object.prototype.
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function isRecord(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export function mergeOverride(base, override) {
+  if (Array.isArray(override)) {
+    const merged = Array.isArray(base) ? [...base] : [];
+    override.forEach((item, index) => {
+      if (item !== undefined) {
+        merged[index] = mergeOverride(merged[index], item);
+      }
+    });
+    return merged;
+  }
+  if (isRecord(override)) {
+    const merged = isRecord(base) ? { ...base } : {};
+    for (const [key, value] of Object.entries(override)) {
+      if (UNSAFE_KEYS.has(key)) {
+        continue;
+      }
+      merged[key] = mergeOverride(Object.hasOwn(merged, key) ? merged[key] : undefined, value);
+    }
+    return merged;
+  }
+  return override;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split(".");
+  if (keys.some((key) => UNSAFE_KEYS.has(key))) {
+    throw new ContractValidationError(
+      "INVALID_BATCH",
+      `CSV column ${dottedPath} is not a valid contract field path`,
+      { column: dottedPath }
+    );
+  }
+  let node = target;
+  keys.forEach((key, index) => {
+    const last = index === keys.length - 1;
+    const nextIsIndex = !last && /^\d+$/.test(keys[index + 1]);
+    if (last) {
+      node[key] = value;
+      return;
+    }
+    if (!Object.hasOwn(node, key) || node[key] === null || node[key] === undefined) {
+      node[key] = nextIsIndex ? [] : {};
+    }
+    node = node[key];
+  });
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+export function parseCsvItems(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((column) => column.trim());
+  return rows.map((cells) => {
+    const item = {};
+    columns.forEach((column, index) => {
+      const value = cells[index]?.trim() ?? "";
+      if (column && value !== "") {
+        setPath(item, column, value);
+      }
+    });
+    return item;
+  });
+}
+
+export function parseJsonlItems(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+    .filter(({ line }) => line !== "")
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new ContractValidationError("INVALID_BATCH", `JSONL line ${lineNumber} is not valid JSON`, {
+          lineNumber
+        });
+      }
+    });
+}
+
+function getPath(target, dottedPath) {
+  return dottedPath.split(".").reduce((node, key) => node?.[key], target);
+}
+
+function describeSweepAxis(axisPath) {
+  const [, role, sourceIndex] = axisPath.match(SWEEP_PATH_PATTERN);
+  return role ? role[0].toUpperCase() + role.slice(1) : `Source ${sourceIndex}`;
+}
+
+function expandSweepValues(axisPath, spec) {
+  let values;
+  if (Array.isArray(spec)) {
+    values = spec.map(Number);
+  } else if (isRecord(spec)) {
+    const from = Number(spec.from);
+    const to = Number(spec.to);
+    const step = Number(spec.step);
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+      throw new ContractValidationError(
+        "INVALID_SWEEP",
+        `sweep ${axisPath} range needs numeric from <= to and a positive step`,
+        { axis: axisPath, received: spec }
+      );
+    }
+    values = [];
+    for (let index = 0; from + index * step <= to + 1e-9; index += 1) {
+      values.push(from + index * step);
+    }
+  } else {
+    throw new ContractValidationError(
+      "INVALID_SWEEP",
+      `sweep ${axisPath} must be a value list or a { from, to, step } range`,
+      { axis: axisPath }
+    );
+  }
+
+  values = [...new Set(values.map((value) => Number(value.toFixed(4))))];
+  if (values.length === 0 || values.length > MAX_SWEEP_VALUES) {
+    throw new ContractValidationError(
+      "INVALID_SWEEP",
+      `sweep ${axisPath} must have between 1 and ${MAX_SWEEP_VALUES} values`,
+      { axis: axisPath, valueCount: values.length }
+    );
+  }
+  if (values.some((value) => !Number.isFinite(value) || value < 0 || value > 1)) {
+    throw new ContractValidationError(
+      "INVALID_SWEEP",
+      `sweep ${axisPath} values must be in range [0, 1]`,
+      { axis: axisPath, values }
+    );
+  }
+  return values;
+}
+
+export function expandSweep(base, sweep, { maxItems }) {
+  if (!isRecord(sweep) || Object.keys(sweep).length === 0) {
+    throw new ContractValidationError("INVALID_SWEEP", "sweep must map weight paths to values");
+  }
+
+  const axes = Object.entries(sweep).map(([axisPath, spec]) => {
+    if (!SWEEP_PATH_PATTERN.test(axisPath)) {
+      throw new ContractValidationError(
+        "INVALID_SWEEP",
+        `sweep axis ${axisPath} is not supported; use reference.weight, skeleton.weight, soul.weight or sources.<n>.weight`,
+        { axis: axisPath }
+      );
+    }
+    if (!isRecord(getPath(base, axisPath.replace(/\.weight$/, "")))) {
+      throw new ContractValidationError(
+        "INVALID_SWEEP",
+        `sweep axis ${axisPath} refers to an image that is missing from the base contract`,
+        { axis: axisPath }
+      );
+    }
+    return {
+      path: axisPath,
+      label: describeSweepAxis(axisPath),
+      values: expandSweepValues(axisPath, spec)
+    };
+  });
+
+  const combinationCount = axes.reduce((count, axis) => count * axis.values.length, 1);
+  if (combinationCount > maxItems) {
+    throw new ContractValidationError(
+      "BATCH_TOO_LARGE",
+      `sweep expands to ${combinationCount} combinations; the limit is ${maxItems}`,
+      { itemCount: combinationCount, maxItems }
+    );
+  }
+
+  let combinations = [[]];
+  for (const axis of axes) {
+    combinations = combinations.flatMap((combination) =>
+      axis.values.map((value) => [...combination, value])
+    );
+  }
+
+  const items = combinations.map((combination) => {
+    const item = {};
+    combination.forEach((value, index) => setPath(item, axes[index].path, value));
+    return item;
+  });
+  return { axes, combinations, items };
+}
+
+function readItems(input) {
+  if (Array.isArray(input.items)) {
+    return input.items;
+  }
+  if (typeof input.jsonl === "string") {
+    return parseJsonlItems(input.jsonl);
+  }
+  if (typeof input.csv === "string") {
+    return parseCsvItems(input.csv);
+  }
+  throw new ContractValidationError(
+    "INVALID_BATCH",
+    "batch must provide items, jsonl or csv"
+  );
+}
+
+export function expandBatch(input, { maxItems }) {
+  if (!isRecord(input)) {
+    throw new ContractValidationError("INVALID_BATCH", "batch must be an object");
+  }
+
+  const batchId = input.batchId ?? `batch_${Date.now().toString(36)}`;
+  if (typeof batchId !== "string" || !BATCH_ID_PATTERN.test(batchId)) {
+    throw new ContractValidationError(
+      "INVALID_BATCH",
+      "batchId may only contain letters, digits, '_' and '-' (max 64 chars)",
+      { received: batchId }
+    );
+  }
+  if (input.base !== undefined && !isRecord(input.base)) {
+    throw new ContractValidationError("INVALID_BATCH", "batch base must be an object");
+  }
+
+  const sweep = input.sweep === undefined ? null : expandSweep(input.base ?? {}, input.sweep, { maxItems });
+  const items = sweep ? sweep.items : readItems(input);
+  if (items.length === 0) {
+    throw new ContractValidationError("INVALID_BATCH", "batch has no items");
+  }
+  if (items.length > maxItems) {
+    throw new ContractValidationError(
+      "BATCH_TOO_LARGE",
+      `batch has ${items.length} items; the limit is ${maxItems}`,
+      { itemCount: items.length, maxItems }
+    );
+  }
+
+  const width = String(items.length - 1).length;
+  const contracts = items.map((item, index) => {
+    if (!isRecord(item)) {
+      throw new ContractValidationError("INVALID_BATCH_ITEM", `batch item ${index} must be an object`, {
+        itemIndex: index
+      });
+    }
+    const merged = mergeOverride(input.base ?? {}, item);
+    merged.taskId = item.taskId ?? `${batchId}_${String(index).padStart(width, "0")}`;
+    try {
+      return validateGenerationContract(merged);
+    } catch (error) {
+      if (error instanceof ContractValidationError) {
+        throw new ContractValidationError(
+          "INVALID_BATCH_ITEM",
+          `batch item ${index}: ${error.message}`,
+          { itemIndex: index, code: error.code, details: error.details ?? null }
+        );
+      }
+      throw error;
+    }
+  });
+
+  const seen = new Set();
+  for (const contract of contracts) {
+    if (seen.has(contract.taskId)) {
+      throw new ContractValidationError(
+        "INVALID_BATCH",
+        `taskId ${contract.taskId} appears more than once in the batch`,
+        { taskId: contract.taskId }
+      );
+    }
+    seen.add(contract.taskId);
+  }
+
+  return {
+    batchId,
+    contracts,
+    sweep: sweep
+      ? {
+          axes: sweep.axes,
+          values: sweep.combinations
+        }
+      : null
+  };
+}
@@ -0,0 +1,9 @@
+export class HttpError extends Error {
+  constructor(statusCode, message, code = "HTTP_ERROR", headers = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.headers = headers;
+  }
+}
@@ -1,16 +1,44 @@
+import { randomBytes } from "node:crypto";
 import { createServer } from "node:http";
-import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { mkdir, readFile, readdir, unlink, writeFile } from "node:fs/promises";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
-import { runDualTrackGeneration } from "../../engine/src/index.js";
+import {
+  parsePriceOverrides,
+  previewWorkflow,
+  resolvePriceTable,
+  runWorkflow
+} from "../../engine/src/index.js";
 import {
   ContractValidationError,
+  MODEL_OUTPUT_OPTIONS,
+  SUPPORTED_MODELS,
   createStatusResponse,
+  listFeatureTypes,
+  mapContractImageRefs,
+  parseAssetImageRef,
+  parseTaskImageRef,
+  registerFeatureType,
   serializeError,
   validateGenerationContract
 } from "../../shared/src/index.js";
+import { createAssetStore, toAssetView } from "./asset-store.js";
+import { createApiKeyAuth, parseApiKeys } from "./auth.js";
+import { expandBatch, mergeOverride, parseCsvItems, parseJsonlItems } from "./batch-input.js";
+import {
+  buildOutputMetadata,
+  embedOutputMetadata,
+  sha256Hex,
+  signManifest
+} from "./provenance.js";
+import { HttpError } from "./http-error.js";
+import { createJobQueue } from "./job-queue.js";
+import { parseMultipart, readMultipartBoundary } from "./multipart.js";
+import { createTaskStore } from "./task-store.js";
+import { createUsageLedger } from "./usage-ledger.js";
+import { createZipArchive } from "./zip.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -57,11 +85,112 @@ function loadDotEnvFile() {
 
 loadDotEnvFile();
 
+function loadCustomFeatureTypes() {
+  const configured = process.env.FEATURE_TYPES_FILE;
+  const filePath = path.resolve(REPO_ROOT, configured || "config/feature-types.json");
+  if (!fs.existsSync(filePath)) {
+    if (configured) {
+      throw new Error(`FEATURE_TYPES_FILE not found: ${filePath}`);
+    }
+    return [];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const definitions = Array.isArray(parsed) ? parsed : parsed?.featureTypes;
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${filePath} must contain an array of feature type definitions`);
+  }
+  return definitions.map((definition) => registerFeatureType(definition));
+}
+
+const customFeatureTypes = loadCustomFeatureTypes();
+
+// Stored manifests must stay verifiable across restarts, so a generated key is kept in the data directory.
+function loadManifestSigningSecret() {
+  if (process.env.MANIFEST_SIGNING_SECRET) {
+    return process.env.MANIFEST_SIGNING_SECRET;
+  }
+  const keyPath = path.join(DATA_DIR, "manifest-signing.key");
+  if (fs.existsSync(keyPath)) {
+    const secret = fs.readFileSync(keyPath, "utf8").trim();
+    if (!secret) {
+      throw new Error(`${keyPath} is empty; delete it or set MANIFEST_SIGNING_SECRET.`);
+    }
+    return secret;
+  }
+  const secret = randomBytes(32).toString("hex");
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(keyPath, `${secret}\n`, { mode: 0o600 });
+  logInfo("generated a manifest signing key", { keyPath });
+  return secret;
+}
+
+function loadTaskRetentionMs() {
+  const raw = process.env.TASK_RETENTION_HOURS?.trim() || "24";
+  const hours = Number(raw);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error("TASK_RETENTION_HOURS must be a non-negative number of hours (0 keeps tasks forever).");
+  }
+  return hours * 60 * 60 * 1000;
+}
+
+function loadModelConcurrency() {
+  if (!process.env.MODEL_CONCURRENCY) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(process.env.MODEL_CONCURRENCY);
+  } catch {
+    throw new Error("MODEL_CONCURRENCY must be a JSON object keyed by model id.");
+  }
+  for (const [model, limit] of Object.entries(parsed ?? {})) {
+    if (!SUPPORTED_MODELS.includes(model) || !Number.isInteger(limit) || limit < 1) {
+      throw new Error(`MODEL_CONCURRENCY.${model} must be a positive integer for a supported model.`);
+    }
+  }
+  return parsed;
+}
+
+function loadPositiveInteger(name, fallback) {
+  const raw = process.env[name]?.trim();
+  if (!raw) {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer.`);
+  }
+  return value;
+}
+
 const PORT = Number(process.env.PORT || 8787);
 const HOST = process.env.HOST || "127.0.0.1";
 
 const tasks = new Map();
+const taskControllers = new Map();
 const sseClients = new Map();
+const batches = new Map();
+const batchSseClients = new Map();
+const batchBroadcastTimers = new Map();
+const usageLedger = createUsageLedger();
+const TERMINAL_STATUSES = new Set(["SUCCESS", "FAILED", "CANCELLED"]);
+const RETRYABLE_STATUSES = new Set(["FAILED", "CANCELLED"]);
+const SESSION_HISTORY_MAX_STEPS = Number(process.env.SESSION_HISTORY_MAX_STEPS || 4);
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 500);
+const BATCH_CONCURRENCY = loadPositiveInteger("BATCH_CONCURRENCY", 2);
+const BATCH_BROADCAST_INTERVAL_MS = 250;
+const DATA_DIR = path.resolve(REPO_ROOT, process.env.TASK_STORE_DIR || "packages/server/data");
+const MANIFEST_SIGNING_SECRET = loadManifestSigningSecret();
+const TASK_RETENTION_MS = loadTaskRetentionMs();
+const RETENTION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const INTERRUPTED_TASK_POLICY = process.env.INTERRUPTED_TASKS === "requeue" ? "requeue" : "fail";
+const TASK_CONCURRENCY = loadPositiveInteger("TASK_CONCURRENCY", 4);
+const MODEL_CONCURRENCY = loadModelConcurrency();
+const PRICE_TABLE = resolvePriceTable(parsePriceOverrides(process.env.MODEL_PRICING));
+const ASSET_ID_PATTERN = /^[a-f0-9]{64}$/;
+const OUTPUT_FILENAME_PATTERN = /^[^.].*(?:\.(?:png|jpg|webp)|\.manifest\.json)$/;
+const PUBLIC_API_ROUTES = new Set(["/api/models", "/api/feature-types"]);
 
 const MIME_TYPES = {
   ".html": "text/html; charset=utf-8",
@@ -102,31 +231,90 @@ function logError(message, meta = null) {
   console.error(`[${nowIso()}] ERROR ${message}`);
 }
 
+const taskStore = createTaskStore(process.env.TASK_STORE || "file", {
+  directory: DATA_DIR,
+  onError(error, filePath) {
+    logError("task store write failed", { filePath, message: error.message });
+  }
+});
+
+const assetStore = createAssetStore({
+  directory: path.resolve(REPO_ROOT, process.env.ASSET_DIR || "packages/server/data/assets"),
+  maxBytes: Number(process.env.ASSET_MAX_BYTES || 20 * 1024 * 1024)
+});
+
+const apiAuth = createApiKeyAuth({
+  keys: parseApiKeys(process.env.API_KEYS, {
+    rateLimitPerMinute: Number(process.env.API_RATE_LIMIT_PER_MINUTE?.trim() || 0),
+    dailyQuota: Number(process.env.API_DAILY_QUOTA?.trim() || 0)
+  })
+});
+
+const jobQueue = createJobQueue({
+  concurrency: TASK_CONCURRENCY,
+  run: runTask,
+  onChange: broadcastQueueChange
+});
+
 function isPathInside(baseDir, candidatePath) {
   const relative = path.relative(baseDir, candidatePath);
   return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
 }
 
-class HttpError extends Error {
-  constructor(statusCode, message, code = "HTTP_ERROR") {
-    super(message);
-    this.name = "HttpError";
-    this.statusCode = statusCode;
-    this.code = code;
-  }
+function summarizeContract(contract) {
+  const weightOf = (image) => (image ? { weight: image.weight } : null);
+  return {
+    model: contract.model,
+    prompt: contract.prompt,
+    negativePrompt: contract.negativePrompt,
+    variantCount: contract.variantCount,
+    aspectRatio: contract.aspectRatio,
+    imageSize: contract.imageSize,
+    seed: contract.seed,
+    temperature: contract.temperature,
+    topP: contract.topP,
+    reference: weightOf(contract.reference),
+    skeleton: weightOf(contract.skeleton),
+    soul: weightOf(contract.soul),
+    sources: contract.sources.map(({ featureType, weight }) => ({ featureType, weight })),
+    workflowNodes: contract.workflow?.order ?? null
+  };
 }
 
 function toTaskView(task) {
   return {
     ...createStatusResponse(task),
+    sessionId: task.sessionId ?? task.taskId,
+    parentTaskId: task.parentTaskId ?? null,
+    batchId: task.batchId ?? null,
+    owner: task.owner ?? null,
+    errorDetails: task.errorDetails ?? null,
+    usage: task.usage ?? null,
+    fingerprint: task.fingerprint ?? null,
+    reproducedFrom: task.reproducedFrom ?? null,
+    clonedFrom: task.clonedFrom ?? null,
+    attempt: task.attempt ?? 1,
+    previousAttempts: task.previousAttempts ?? [],
+    contractSummary: summarizeContract(task.contract),
+    fingerprintMismatches:
+      task.reproducedFrom && task.fingerprint && tasks.get(task.reproducedFrom)?.fingerprint
+        ? compareFingerprints(tasks.get(task.reproducedFrom).fingerprint, task.fingerprint)
+        : null,
     workflowGraph: task.workflowGraph ?? null,
+    workflowRun: task.workflowRun ?? null,
+    statusHistory: task.statusHistory ?? [],
+    manifestUrl: task.manifest ? `/outputs/${task.taskId}.manifest.json` : null,
+    priority: task.contract.priority ?? 0,
+    queuePosition: jobQueue.position(task.taskId),
+    estimatedWaitMs: jobQueue.estimatedWaitMs(task.taskId),
     progress: task.progress ?? null
   };
 }
 
-function sendJson(res, statusCode, body) {
+function sendJson(res, statusCode, body, headers = {}) {
   const payload = JSON.stringify(body);
   res.writeHead(statusCode, {
+    ...headers,
     "content-type": "application/json; charset=utf-8",
     "content-length": Buffer.byteLength(payload),
     "cache-control": "no-store"
@@ -143,7 +331,7 @@ function sendText(res, statusCode, text) {
   res.end(text);
 }
 
-async function parseJsonBody(req) {
+async function readBodyBuffer(req) {
   let size = 0;
   const chunks = [];
 
@@ -154,12 +342,19 @@ async function parseJsonBody(req) {
     }
     chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
+}
 
-  const raw = Buffer.concat(chunks).toString("utf8");
+async function readRawBody(req) {
+  const raw = (await readBodyBuffer(req)).toString("utf8");
   if (raw.trim().length === 0) {
     throw new HttpError(400, "request body is empty", "EMPTY_BODY");
   }
+  return raw;
+}
 
+async function parseJsonBody(req) {
+  const raw = await readRawBody(req);
   try {
     return JSON.parse(raw);
   } catch {
@@ -172,6 +367,46 @@ function writeSseEvent(res, event, data) {
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
+function openEventStream(req, res, { clientsByKey, key, logPrefix, event, payload }) {
+  res.writeHead(200, {
+    "content-type": "text/event-stream; charset=utf-8",
+    connection: "keep-alive",
+    "cache-control": "no-store"
+  });
+
+  res.write("retry: 2500\n\n");
+  writeSseEvent(res, event, payload);
+
+  const record = {
+    res,
+    keepAlive: setInterval(() => {
+      res.write(": keep-alive\n\n");
+    }, 15000)
+  };
+
+  const clients = clientsByKey.get(key) ?? new Set();
+  clients.add(record);
+  clientsByKey.set(key, clients);
+  logInfo(`${logPrefix} SSE client connected`, {
+    clientCount: clients.size
+  });
+
+  req.on("close", () => {
+    clearInterval(record.keepAlive);
+    const entries = clientsByKey.get(key);
+    if (!entries) {
+      return;
+    }
+    entries.delete(record);
+    if (entries.size === 0) {
+      clientsByKey.delete(key);
+    }
+    logInfo(`${logPrefix} SSE client disconnected`, {
+      clientCount: entries.size
+    });
+  });
+}
+
 function broadcastTaskEvent(taskId, event, payload) {
   const clients = sseClients.get(taskId);
   if (!clients || clients.size === 0) {
@@ -183,28 +418,254 @@ function broadcastTaskEvent(taskId, event, payload) {
   }
 }
 
+function broadcastQueueChange() {
+  for (const taskId of sseClients.keys()) {
+    const task = tasks.get(taskId);
+    if (task?.status === "QUEUED") {
+      broadcastTaskEvent(taskId, "status", toTaskView(task));
+    }
+  }
+  for (const batchId of batchSseClients.keys()) {
+    scheduleBatchBroadcast(batchId);
+  }
+}
+
 function updateTask(taskId, patch) {
   const prev = tasks.get(taskId);
   if (!prev) {
     return null;
   }
 
+  const updatedAt = new Date().toISOString();
   const next = {
     ...prev,
     ...patch,
-    updatedAt: new Date().toISOString()
+    updatedAt
   };
+  if (next.status !== prev.status) {
+    next.statusHistory = [
+      ...(prev.statusHistory ?? []),
+      { status: next.status, at: updatedAt, errorCode: next.errorCode ?? null }
+    ];
+  }
   tasks.set(taskId, next);
+  taskStore.saveTask(next);
   broadcastTaskEvent(taskId, "status", toTaskView(next));
+  if (next.batchId) {
+    scheduleBatchBroadcast(next.batchId);
+  }
   return next;
 }
 
-async function runTask(taskId) {
+function toBatchView(batch) {
+  const counts = { QUEUED: 0, PROCESSING: 0, SUCCESS: 0, FAILED: 0, CANCELLED: 0 };
+  let progressSum = 0;
+  const items = batch.taskIds.map((taskId, index) => {
+    const task = tasks.get(taskId);
+    const status = task?.status ?? "CANCELLED";
+    counts[status] += 1;
+    progressSum += TERMINAL_STATUSES.has(status) ? 1 : (task?.progress?.progress ?? 0);
+    return {
+      index,
+      taskId,
+      status,
+      outputUrl: task?.outputUrl ?? null,
+      errorCode: task?.errorCode ?? null,
+      progress: task?.progress?.progress ?? null,
+      ...(batch.sweep ? { sweepValues: batch.sweep.values[index] } : {})
+    };
+  });
+
+  const finished = counts.SUCCESS + counts.FAILED + counts.CANCELLED;
+  let status = "QUEUED";
+  if (finished === items.length) {
+    status = "COMPLETED";
+  } else if (finished > 0 || counts.PROCESSING > 0) {
+    status = "PROCESSING";
+  }
+
+  return {
+    batchId: batch.batchId,
+    owner: batch.owner ?? null,
+    status,
+    total: items.length,
+    counts,
+    progress: Number((progressSum / items.length).toFixed(3)),
+    sweep: batch.sweep ? { axes: batch.sweep.axes } : null,
+    items,
+    createdAt: batch.createdAt,
+    downloadUrl: `/api/batches/${encodeURIComponent(batch.batchId)}/outputs.zip`
+  };
+}
+
+function scheduleBatchBroadcast(batchId) {
+  if (batchBroadcastTimers.has(batchId) || !batchSseClients.has(batchId)) {
+    return;
+  }
+  batchBroadcastTimers.set(
+    batchId,
+    setTimeout(() => {
+      batchBroadcastTimers.delete(batchId);
+      const batch = batches.get(batchId);
+      const clients = batchSseClients.get(batchId);
+      if (!batch || !clients) {
+        return;
+      }
+      const view = toBatchView(batch);
+      for (const client of clients) {
+        writeSseEvent(client.res, "batch", view);
+      }
+    }, BATCH_BROADCAST_INTERVAL_MS)
+  );
+}
+
+function findTaskOutput({ taskId, outputIndex }) {
   const task = tasks.get(taskId);
   if (!task) {
+    throw new ContractValidationError("TASK_REF_NOT_FOUND", `task ${taskId} does not exist`, {
+      taskId
+    });
+  }
+  if (task.status !== "SUCCESS") {
+    throw new ContractValidationError(
+      "TASK_REF_NOT_READY",
+      `task ${taskId} is ${task.status}; only successful tasks can be refined`,
+      { taskId, status: task.status }
+    );
+  }
+
+  const index = outputIndex ?? task.chosenOutputIndex ?? 0;
+  const output = task.outputs.find((item) => item.index === index);
+  if (!output) {
+    throw new ContractValidationError(
+      "TASK_REF_OUTPUT_NOT_FOUND",
+      `task ${taskId} has no output #${index}`,
+      { taskId, outputIndex: index }
+    );
+  }
+  return { task, output };
+}
+
+async function loadTaskOutput(taskRef) {
+  const { output } = findTaskOutput(taskRef);
+  const data = await readFile(path.join(OUTPUT_DIR, output.filename));
+  return {
+    mimeType: output.mimeType,
+    data: data.toString("base64")
+  };
+}
+
+async function loadAssetRef({ assetId }) {
+  const { asset, data } = await assetStore.read(assetId);
+  return {
+    mimeType: asset.mimeType,
+    data: data.toString("base64")
+  };
+}
+
+function collectImageRefs(contract) {
+  const imageRefs = [];
+  const collect = (item) =>
+    mapContractImageRefs(item, (imageRef) => {
+      imageRefs.push(imageRef);
+      return imageRef;
+    });
+  collect(contract);
+  for (const node of contract.workflow?.nodes ?? []) {
+    if (node.type === "generate") {
+      collect(node);
+    } else if (node.type === "load_image") {
+      imageRefs.push(node.imageRef);
+    }
+  }
+  return imageRefs;
+}
+
+function ensureAssetsExist(contract) {
+  for (const imageRef of collectImageRefs(contract)) {
+    const assetRef = parseAssetImageRef(imageRef);
+    if (assetRef && !assetStore.has(assetRef.assetId)) {
+      throw new ContractValidationError(
+        "ASSET_NOT_FOUND",
+        `asset ${assetRef.assetId} does not exist; upload it through POST /api/assets first`,
+        { assetId: assetRef.assetId }
+      );
+    }
+  }
+}
+
+function ensureTaskAccess(task, client) {
+  if (task && !apiAuth.canAccess(client, task.owner ?? null)) {
+    throw new HttpError(403, `task ${task.taskId} belongs to another client`, "TASK_FORBIDDEN");
+  }
+}
+
+function ensureTaskRefsAccessible(contract, client) {
+  for (const imageRef of collectImageRefs(contract)) {
+    const taskRef = parseTaskImageRef(imageRef);
+    if (taskRef) {
+      ensureTaskAccess(tasks.get(taskRef.taskId), client);
+    }
+  }
+}
+
+async function uploadAsset(req) {
+  const contentType = String(req.headers["content-type"] || "");
+  const body = await readBodyBuffer(req);
+  if (contentType.toLowerCase().startsWith("multipart/form-data")) {
+    const boundary = readMultipartBoundary(contentType);
+    if (!boundary) {
+      throw new HttpError(400, "multipart upload is missing its boundary", "INVALID_MULTIPART");
+    }
+    const files = parseMultipart(body, boundary).filter((part) => part.filename !== null);
+    if (files.length !== 1) {
+      throw new HttpError(400, "upload exactly one file per request", "INVALID_MULTIPART");
+    }
+    return assetStore.put(files[0].data, { filename: files[0].filename || null });
+  }
+
+  const filename = req.headers["x-filename"];
+  return assetStore.put(body, { filename: filename ? decodeUriPart(filename, "x-filename header") : null });
+}
+
+async function buildSessionHistory(task) {
+  const steps = [];
+  let parentTaskId = task.parentTaskId;
+  while (parentTaskId && steps.length < SESSION_HISTORY_MAX_STEPS) {
+    const parent = tasks.get(parentTaskId);
+    if (!parent || parent.status !== "SUCCESS") {
+      break;
+    }
+    steps.unshift(parent);
+    parentTaskId = parent.parentTaskId;
+  }
+
+  const history = [];
+  for (const step of steps) {
+    const output = step.outputs.find((item) => item.index === step.chosenOutputIndex);
+    history.push({ role: "user", parts: [{ text: step.contract.prompt }] });
+    history.push({
+      role: "model",
+      parts: [
+        {
+          inlineData: await loadTaskOutput({ taskId: step.taskId, outputIndex: output.index }),
+          thoughtSignature: output.thoughtSignature ?? null
+        }
+      ]
+    });
+  }
+  return history;
+}
+
+async function runTask(taskId) {
+  const task = tasks.get(taskId);
+  if (!task || task.status === "CANCELLED") {
     return;
   }
 
+  const controller = new AbortController();
+  taskControllers.set(taskId, controller);
+
   const startedAtMs = Date.now();
   logInfo(`[${taskId}] task started`, {
     sourceCount: task.contract.sources.length,
@@ -214,8 +675,16 @@ async function runTask(taskId) {
   updateTask(taskId, {
     status: "PROCESSING",
     errorCode: null,
+    errorDetails: null,
     message: null,
+    modelText: null,
+    usage: null,
+    fingerprint: null,
+    workflowRun: null,
+    manifest: null,
     outputUrl: null,
+    outputs: [],
+    chosenOutputIndex: null,
     progress: {
       stage: "QUEUED",
       progress: 0
@@ -223,26 +692,113 @@ async function runTask(taskId) {
   });
 
   try {
-    const result = await runDualTrackGeneration(task.contract, {
+    const result = await runWorkflow(task.contract, {
+      signal: controller.signal,
+      history: await buildSessionHistory(task),
+      resolveTaskRef: loadTaskOutput,
+      resolveAssetRef: loadAssetRef,
+      priceTable: PRICE_TABLE,
       onStage(stage) {
-        logInfo(`[${taskId}] stage ${stage.stage}`, {
-          progress: Number(stage.progress).toFixed(2)
-        });
+        if (controller.signal.aborted) {
+          return;
+        }
+        if (stage.stage === "WORKFLOW_NODE") {
+          logInfo(`[${taskId}] workflow node ${stage.nodeId} ${stage.status}`);
+          updateTask(taskId, { workflowRun: stage.workflowRun });
+          return;
+        }
+        if (stage.stage === "RETRYING") {
+          logWarn(`[${taskId}] ${stage.message}`, {
+            errorCode: stage.errorCode,
+            delayMs: stage.delayMs
+          });
+        } else if (stage.stage === "STREAMING") {
+          if (stage.event === "image") {
+            logInfo(`[${taskId}] streamed image received`, {
+              bytesReceived: stage.bytesReceived,
+              imageBytes: stage.imageBytes
+            });
+          }
+        } else {
+          logInfo(`[${taskId}] stage ${stage.stage}`, {
+            progress: Number(stage.progress).toFixed(2)
+          });
+        }
         updateTask(taskId, { progress: stage });
       }
     });
 
-    const filename = `${taskId}.${result.outputExtension}`;
-    const outputPath = path.join(OUTPUT_DIR, filename);
-    await writeFile(outputPath, result.outputBuffer);
+    if (controller.signal.aborted) {
+      logInfo(`[${taskId}] discarded output of cancelled task`);
+      return;
+    }
+
+    const metadata = buildOutputMetadata({ taskId, result, createdAt: nowIso() });
+    const outputs = [];
+    const manifestOutputs = [];
+    for (const [index, output] of result.outputs.entries()) {
+      const filename =
+        result.outputs.length === 1
+          ? `${taskId}.${output.outputExtension}`
+          : `${taskId}-${index}.${output.outputExtension}`;
+      const { buffer, format } = embedOutputMetadata(output.outputBuffer, output.outputMimeType, {
+        ...metadata,
+        outputIndex: index
+      });
+      if (!format) {
+        logWarn(`[${taskId}] could not embed metadata into output ${index}`, {
+          mimeType: output.outputMimeType
+        });
+      }
+      await writeFile(path.join(OUTPUT_DIR, filename), buffer);
+      outputs.push({
+        index,
+        url: `/outputs/${filename}`,
+        mimeType: output.outputMimeType,
+        filename,
+        thoughtSignature: output.thoughtSignature ?? null
+      });
+      manifestOutputs.push({
+        index,
+        filename,
+        mimeType: output.outputMimeType,
+        byteLength: buffer.length,
+        sha256: sha256Hex(buffer),
+        embeddedMetadata: format
+      });
+    }
+
+    if (controller.signal.aborted) {
+      await Promise.all(
+        outputs.map((output) => unlink(path.join(OUTPUT_DIR, output.filename)).catch(() => {}))
+      );
+      logInfo(`[${taskId}] discarded output of cancelled task`);
+      return;
+    }
+
+    const manifest = signManifest(
+      { manifestVersion: 1, ...metadata, outputs: manifestOutputs },
+      MANIFEST_SIGNING_SECRET
+    );
+    await writeFile(
+      path.join(OUTPUT_DIR, `${taskId}.manifest.json`),
+      `${JSON.stringify(manifest, null, 2)}\n`
+    );
 
     updateTask(taskId, {
       status: "SUCCESS",
-      outputUrl: `/outputs/${filename}`,
+      outputUrl: outputs[0].url,
+      outputs,
+      chosenOutputIndex: 0,
       errorCode: null,
       message: result.warnings.length > 0 ? "completed_with_warnings" : null,
+      modelText: result.modelText,
+      usage: result.usage,
+      fingerprint: result.fingerprint,
       warnings: result.warnings,
       workflowGraph: result.workflowGraph,
+      workflowRun: result.workflowRun,
+      manifest,
       progress: {
         stage: "DONE",
         progress: 1
@@ -250,22 +806,48 @@ async function runTask(taskId) {
     });
 
     logInfo(`[${taskId}] task succeeded`, {
-      outputUrl: `/outputs/${filename}`,
+      provider: result.provider,
+      outputUrl: outputs[0].url,
+      outputCount: outputs.length,
+      totalTokens: result.usage.totalTokens,
+      estimatedCostUsd: result.usage.estimatedCostUsd,
       outputMimeType: result.outputMimeType,
       durationMs: Date.now() - startedAtMs,
       warningCount: result.warnings.length
     });
 
+    usageLedger.record({
+      taskId,
+      model: result.workflowGraph.model,
+      status: "SUCCESS",
+      usage: result.usage
+    });
+
     if (result.warnings.length > 0) {
       logWarn(`[${taskId}] warnings`, { warnings: result.warnings });
     }
   } catch (error) {
+    if (controller.signal.aborted) {
+      logInfo(`[${taskId}] task aborted`, {
+        durationMs: Date.now() - startedAtMs
+      });
+      return;
+    }
+
     const details = serializeError(error);
     updateTask(taskId, {
       status: "FAILED",
       outputUrl: null,
       errorCode: details.code,
-      message: details.message
+      errorDetails: details.details ?? null,
+      message: details.message,
+      usage: details.details?.usage ?? null
+    });
+    usageLedger.record({
+      taskId,
+      model: task.contract.model,
+      status: "FAILED",
+      usage: details.details?.usage ?? null
     });
     logError(`[${taskId}] task failed`, {
       code: details.code,
@@ -273,16 +855,71 @@ async function runTask(taskId) {
       details: details.details ?? null,
       durationMs: Date.now() - startedAtMs
     });
+  } finally {
+    taskControllers.delete(taskId);
+  }
+}
+
+function chooseTaskOutput(taskId, body) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+  }
+  if (task.status !== "SUCCESS") {
+    throw new HttpError(409, "only successful tasks have outputs to choose from", "TASK_NOT_READY");
   }
+
+  const index = Number(body?.index);
+  const output = task.outputs.find((item) => item.index === index);
+  if (!output) {
+    throw new HttpError(400, `output index ${body?.index} does not exist`, "INVALID_OUTPUT_INDEX");
+  }
+
+  logInfo(`[${taskId}] output chosen`, { index });
+  return updateTask(taskId, {
+    outputUrl: output.url,
+    chosenOutputIndex: index
+  });
 }
 
-async function serveFile(res, filePath) {
+function cancelTask(taskId) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+  }
+  if (TERMINAL_STATUSES.has(task.status)) {
+    throw new HttpError(
+      409,
+      `task is already ${task.status} and cannot be cancelled`,
+      "TASK_NOT_CANCELLABLE"
+    );
+  }
+
+  const next = updateTask(taskId, {
+    status: "CANCELLED",
+    outputUrl: null,
+    errorCode: "TASK_CANCELLED",
+    message: "cancelled by user",
+    progress: {
+      stage: "CANCELLED",
+      progress: task.progress?.progress ?? 0
+    }
+  });
+  jobQueue.remove(taskId);
+  taskControllers.get(taskId)?.abort("cancelled by user");
+  logInfo(`[${taskId}] task cancelled`, { previousStatus: task.status });
+  return next;
+}
+
+async function serveFile(res, filePath, { cacheControl: cacheOverride = null } = {}) {
   try {
     const data = await readFile(filePath);
     const ext = path.extname(filePath).toLowerCase();
     const contentType = MIME_TYPES[ext] || "application/octet-stream";
     const isWebStatic = isPathInside(WEB_PUBLIC_DIR, filePath);
-    const cacheControl = isWebStatic && !IS_PROD ? "no-cache" : ext === ".svg" ? "no-cache" : "public, max-age=300";
+    const cacheControl =
+      cacheOverride ??
+      (isWebStatic && !IS_PROD ? "no-cache" : ext === ".svg" ? "no-cache" : "public, max-age=300");
     res.writeHead(200, {
       "content-type": contentType,
       "content-length": data.length,
@@ -295,14 +932,28 @@ async function serveFile(res, filePath) {
   }
 }
 
-async function handleStatic(req, res, pathname) {
+function findTaskByOutputFilename(filename) {
+  return [...tasks.values()].find((task) => taskOutputFilenames(task).includes(filename)) ?? null;
+}
+
+async function handleStatic(req, res, pathname, client) {
   if (pathname.startsWith("/outputs/")) {
     const relative = pathname.slice("/outputs/".length);
     const fullPath = path.resolve(OUTPUT_DIR, relative);
     if (!isPathInside(OUTPUT_DIR, fullPath)) {
       return false;
     }
-    return serveFile(res, fullPath);
+    if (!apiAuth.enabled) {
+      return serveFile(res, fullPath);
+    }
+    const task = findTaskByOutputFilename(relative);
+    if (!task) {
+      return false;
+    }
+    if (!apiAuth.canAccess(client, task.owner ?? null)) {
+      throw new HttpError(403, `output ${relative} belongs to another client`, "OUTPUT_FORBIDDEN");
+    }
+    return serveFile(res, fullPath, { cacheControl: "private, max-age=300" });
   }
 
   const cleaned = pathname === "/" ? "/index.html" : pathname;
@@ -324,32 +975,535 @@ async function handleStatic(req, res, pathname) {
   return false;
 }
 
-function createTaskRecord(contract) {
+function createTaskRecord(
+  contract,
+  { sessionId, owner = null, reproducedFrom = null, clonedFrom = null, batchId = null }
+) {
+  const createdAt = new Date().toISOString();
   return {
     taskId: contract.taskId,
+    sessionId,
+    owner,
+    parentTaskId: contract.parentTaskId,
+    reproducedFrom,
+    clonedFrom,
+    batchId,
     contract,
     status: "QUEUED",
+    attempt: 1,
+    previousAttempts: [],
     outputUrl: null,
+    outputs: [],
+    chosenOutputIndex: null,
     errorCode: null,
+    errorDetails: null,
     message: null,
+    modelText: null,
+    usage: null,
+    fingerprint: null,
     warnings: [],
     workflowGraph: null,
+    workflowRun: null,
+    manifest: null,
     progress: null,
-    updatedAt: new Date().toISOString()
+    statusHistory: [{ status: "QUEUED", at: createdAt, errorCode: null }],
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+function listSessionTasks(sessionId, client) {
+  const sessionTasks = [...tasks.values()]
+    .filter((task) => task.sessionId === sessionId && apiAuth.canAccess(client, task.owner ?? null))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (sessionTasks.length === 0) {
+    throw new HttpError(404, "session not found", "SESSION_NOT_FOUND");
+  }
+  return sessionTasks.map((task) => ({
+    ...toTaskView(task),
+    prompt: task.contract.prompt,
+    createdAt: task.createdAt
+  }));
+}
+
+function acceptTask(
+  contract,
+  { client = null, reproducedFrom = null, clonedFrom = null, batchId = null } = {}
+) {
+  if (tasks.has(contract.taskId)) {
+    throw new HttpError(409, `taskId ${contract.taskId} already exists`, "TASK_EXISTS");
+  }
+
+  ensureTaskRefsAccessible(contract, client);
+  const parent = contract.parentTaskId
+    ? findTaskOutput(parseTaskImageRef(contract.reference.imageRef)).task
+    : null;
+  ensureAssetsExist(contract);
+  apiAuth.ensureQuota(client);
+  const record = createTaskRecord(contract, {
+    sessionId: parent?.sessionId ?? contract.taskId,
+    owner: client?.clientId ?? null,
+    reproducedFrom,
+    clonedFrom,
+    batchId
+  });
+  tasks.set(contract.taskId, record);
+  taskStore.saveTask(record);
+  apiAuth.recordGenerations(record.owner);
+  logInfo(`[${contract.taskId}] task accepted`, {
+    owner: record.owner,
+    model: contract.model,
+    referenceWeight: contract.reference?.weight ?? null,
+    skeletonWeight: contract.skeleton?.weight ?? null,
+    soulWeight: contract.soul?.weight ?? null,
+    sourceCount: contract.sources.length,
+    variantCount: contract.variantCount,
+    seed: contract.seed,
+    sessionId: record.sessionId,
+    parentTaskId: record.parentTaskId,
+    reproducedFrom,
+    clonedFrom,
+    batchId,
+    featureTypes: contract.sources.map((source) => source.featureType),
+    workflowNodes: contract.workflow?.order ?? null
+  });
+
+  return record;
+}
+
+function sendAccepted(res, record, extra = {}) {
+  void enqueueTask(record);
+  sendJson(res, 202, {
+    ...toTaskView(record),
+    ...extra,
+    statusUrl: `/api/tasks/${encodeURIComponent(record.taskId)}`,
+    streamUrl: `/api/tasks/${encodeURIComponent(record.taskId)}/events`
+  });
+}
+
+function enqueueTask(task) {
+  const model = task.contract.model;
+  const limits = [];
+  if (MODEL_CONCURRENCY[model]) {
+    limits.push({ key: `model:${model}`, max: MODEL_CONCURRENCY[model] });
+  }
+  if (task.batchId) {
+    limits.push({ key: `batch:${task.batchId}`, max: BATCH_CONCURRENCY });
+  }
+  return jobQueue.enqueue({ id: task.taskId, priority: task.contract.priority ?? 0, limits });
+}
+
+async function previewTask(body, client) {
+  const contract = validateGenerationContract(
+    body && typeof body === "object" && !Array.isArray(body) && body.taskId === undefined
+      ? { ...body, taskId: "preview" }
+      : body
+  );
+  ensureTaskRefsAccessible(contract, client);
+  if (contract.parentTaskId) {
+    findTaskOutput(parseTaskImageRef(contract.reference.imageRef));
+  }
+  ensureAssetsExist(contract);
+  return previewWorkflow(contract, {
+    resolveTaskRef: loadTaskOutput,
+    resolveAssetRef: loadAssetRef,
+    history: await buildSessionHistory({ parentTaskId: contract.parentTaskId })
+  });
+}
+
+function reproduceTask(taskId, body, client) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+  }
+  if (!task.fingerprint) {
+    throw new HttpError(
+      409,
+      "task has no generation fingerprint yet; wait until it has finished",
+      "TASK_NOT_REPRODUCIBLE"
+    );
+  }
+
+  const reproductionId =
+    typeof body?.taskId === "string" && body.taskId.trim()
+      ? body.taskId.trim()
+      : `${taskId}_repro_${Date.now().toString(36)}`;
+  const record = acceptTask(
+    validateGenerationContract({ ...task.contract, taskId: reproductionId }),
+    { client, reproducedFrom: taskId }
+  );
+
+  const warnings = [];
+  if (task.contract.seed === null) {
+    warnings.push("The original task had no seed, so the reproduction may not match pixel for pixel.");
+  }
+  return { record, warnings };
+}
+
+function retryTask(taskId) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+  }
+  if (!RETRYABLE_STATUSES.has(task.status)) {
+    throw new HttpError(
+      409,
+      `task is ${task.status}; only failed or cancelled tasks can be retried`,
+      "TASK_NOT_RETRYABLE"
+    );
+  }
+  if (taskControllers.has(taskId)) {
+    throw new HttpError(409, "the previous attempt is still stopping; try again shortly", "TASK_NOT_RETRYABLE");
+  }
+  // The retry counts against the task owner's quota, not the (possibly admin) caller's.
+  apiAuth.ensureQuota(task.owner ? apiAuth.findClient(task.owner) : null);
+
+  const attempt = task.attempt ?? 1;
+  const record = updateTask(taskId, {
+    status: "QUEUED",
+    attempt: attempt + 1,
+    previousAttempts: [
+      ...(task.previousAttempts ?? []),
+      {
+        attempt,
+        status: task.status,
+        errorCode: task.errorCode,
+        message: task.message,
+        usage: task.usage,
+        finishedAt: task.updatedAt
+      }
+    ],
+    errorCode: null,
+    errorDetails: null,
+    message: null,
+    usage: null,
+    progress: null
+  });
+  apiAuth.recordGenerations(task.owner);
+  logInfo(`[${taskId}] task retried`, { attempt: attempt + 1, previousStatus: task.status });
+  return record;
+}
+
+function cloneTask(taskId, body, client) {
+  if (!tasks.has(taskId)) {
+    throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+  }
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new HttpError(400, "clone body must be a JSON object of contract fields", "INVALID_PATCH");
+  }
+
+  const { taskId: requestedTaskId, ...patch } = body;
+  const cloneId =
+    typeof requestedTaskId === "string" && requestedTaskId.trim()
+      ? requestedTaskId.trim()
+      : `${taskId}_clone_${Date.now().toString(36)}`;
+  return acceptTask(
+    validateGenerationContract({
+      ...mergeOverride(baseContractFromTask(taskId, client), patch),
+      taskId: cloneId
+    }),
+    { client, clonedFrom: taskId }
+  );
+}
+
+async function readBatchInput(req, requestUrl) {
+  const contentType = String(req.headers["content-type"] || "").toLowerCase();
+  if (contentType.includes("text/csv") || contentType.includes("ndjson") || contentType.includes("jsonl")) {
+    const raw = await readRawBody(req);
+    return {
+      batchId: requestUrl.searchParams.get("batchId") ?? undefined,
+      baseTaskId: requestUrl.searchParams.get("baseTaskId") ?? undefined,
+      items: contentType.includes("text/csv") ? parseCsvItems(raw) : parseJsonlItems(raw)
+    };
+  }
+  return parseJsonBody(req);
+}
+
+function baseContractFromTask(taskId, client) {
+  const task = tasks.get(taskId);
+  if (!task) {
+    throw new HttpError(404, `base task ${taskId} not found`, "TASK_NOT_FOUND");
+  }
+  ensureTaskAccess(task, client);
+  const base = { ...task.contract };
+  delete base.taskId;
+  delete base.parentTaskId;
+  return base;
+}
+
+function createBatch(input, client) {
+  const { batchId, contracts, sweep } = expandBatch(
+    input?.baseTaskId && input.base === undefined
+      ? { ...input, base: baseContractFromTask(input.baseTaskId, client) }
+      : input,
+    { maxItems: BATCH_MAX_ITEMS }
+  );
+  if (batches.has(batchId)) {
+    throw new HttpError(409, `batchId ${batchId} already exists`, "BATCH_EXISTS");
+  }
+  const duplicate = contracts.find((contract) => tasks.has(contract.taskId));
+  if (duplicate) {
+    throw new HttpError(409, `taskId ${duplicate.taskId} already exists`, "TASK_EXISTS");
+  }
+  for (const contract of contracts) {
+    ensureTaskRefsAccessible(contract, client);
+    if (contract.parentTaskId) {
+      findTaskOutput(parseTaskImageRef(contract.reference.imageRef));
+    }
+    ensureAssetsExist(contract);
+  }
+  apiAuth.ensureQuota(client, contracts.length);
+
+  const batch = {
+    batchId,
+    owner: client?.clientId ?? null,
+    taskIds: contracts.map((contract) => contract.taskId),
+    sweep,
+    createdAt: new Date().toISOString()
   };
+  batches.set(batchId, batch);
+  taskStore.saveBatch(batch);
+  for (const contract of contracts) {
+    acceptTask(contract, { client, batchId });
+  }
+  logInfo(`[batch ${batchId}] batch accepted`, {
+    itemCount: contracts.length,
+    sweepAxes: sweep?.axes.map((axis) => axis.path) ?? null,
+    concurrency: BATCH_CONCURRENCY
+  });
+
+  return batch;
+}
+
+async function runBatch(batch) {
+  const startedAtMs = Date.now();
+  await Promise.all(batch.taskIds.map((taskId) => enqueueTask(tasks.get(taskId))));
+  const view = toBatchView(batch);
+  logInfo(`[batch ${batch.batchId}] batch finished`, {
+    ...view.counts,
+    durationMs: Date.now() - startedAtMs
+  });
+}
+
+function cancelBatch(batchId) {
+  const batch = batches.get(batchId);
+  if (!batch) {
+    throw new HttpError(404, "batch not found", "BATCH_NOT_FOUND");
+  }
+  for (const taskId of batch.taskIds) {
+    const task = tasks.get(taskId);
+    if (task && !TERMINAL_STATUSES.has(task.status)) {
+      cancelTask(taskId);
+    }
+  }
+  logInfo(`[batch ${batchId}] batch cancelled`);
+  return toBatchView(batch);
+}
+
+async function createBatchArchive(batchId) {
+  const batch = batches.get(batchId);
+  if (!batch) {
+    throw new HttpError(404, "batch not found", "BATCH_NOT_FOUND");
+  }
+
+  const entries = [];
+  for (const taskId of batch.taskIds) {
+    const task = tasks.get(taskId);
+    const output = task?.outputs.find((item) => item.index === task.chosenOutputIndex);
+    if (task?.status === "SUCCESS" && output) {
+      entries.push({
+        name: output.filename,
+        data: await readFile(path.join(OUTPUT_DIR, output.filename))
+      });
+      if (task.manifest) {
+        entries.push({
+          name: `${taskId}.manifest.json`,
+          data: Buffer.from(`${JSON.stringify(task.manifest, null, 2)}\n`)
+        });
+      }
+    }
+  }
+  if (entries.length === 0) {
+    throw new HttpError(409, "batch has no successful outputs yet", "BATCH_NO_OUTPUTS");
+  }
+  return createZipArchive(entries);
+}
+
+function taskOutputFilenames(task) {
+  return [
+    ...task.outputs.map((output) => output.filename),
+    ...(task.manifest ? [`${task.taskId}.manifest.json`] : [])
+  ];
+}
+
+async function evictExpiredRecords() {
+  if (TASK_RETENTION_MS === 0) {
+    return;
+  }
+
+  const cutoff = Date.now() - TASK_RETENTION_MS;
+  for (const task of [...tasks.values()]) {
+    if (TERMINAL_STATUSES.has(task.status) && Date.parse(task.updatedAt) < cutoff) {
+      tasks.delete(task.taskId);
+      taskStore.deleteTask(task.taskId);
+      await Promise.all(
+        taskOutputFilenames(task).map((filename) =>
+          unlink(path.join(OUTPUT_DIR, filename)).catch(() => {})
+        )
+      );
+      logInfo(`[${task.taskId}] task evicted after retention period`);
+    }
+  }
+  for (const batch of [...batches.values()]) {
+    if (batch.taskIds.every((taskId) => !tasks.has(taskId))) {
+      batches.delete(batch.batchId);
+      taskStore.deleteBatch(batch.batchId);
+      logInfo(`[batch ${batch.batchId}] batch evicted after retention period`);
+    }
+  }
+}
+
+// Only files named like task outputs or manifests are candidates; anything else in the
+// directory was not written by the server and is left alone.
+async function removeOrphanedOutputs() {
+  const known = new Set([...tasks.values()].flatMap(taskOutputFilenames));
+  const orphans = (await readdir(OUTPUT_DIR)).filter(
+    (filename) => OUTPUT_FILENAME_PATTERN.test(filename) && !known.has(filename)
+  );
+  await Promise.all(
+    orphans.map((filename) => unlink(path.join(OUTPUT_DIR, filename)).catch(() => {}))
+  );
+  if (orphans.length > 0) {
+    logInfo("removed output files that no stored task refers to", { fileCount: orphans.length });
+  }
+}
+
+function replayTaskUsage(task) {
+  const model = task.contract.model;
+  for (const attempt of task.previousAttempts ?? []) {
+    if (attempt.status === "SUCCESS" || attempt.status === "FAILED") {
+      usageLedger.record({
+        taskId: task.taskId,
+        model: attempt.usage?.model ?? model,
+        status: attempt.status,
+        usage: attempt.usage,
+        recordedAt: attempt.finishedAt
+      });
+    }
+  }
+  if (task.status === "SUCCESS" || task.status === "FAILED") {
+    usageLedger.record({
+      taskId: task.taskId,
+      model: task.usage?.model ?? model,
+      status: task.status,
+      usage: task.usage,
+      recordedAt: task.updatedAt
+    });
+  }
+}
+
+async function restoreTaskStore() {
+  const stored = await taskStore.load();
+  for (const batch of stored.batches) {
+    batches.set(batch.batchId, batch);
+  }
+  for (const task of stored.tasks) {
+    tasks.set(task.taskId, task);
+    apiAuth.recordGenerations(task.owner, 1, task.createdAt);
+  }
+
+  const interrupted = [...tasks.values()].filter((task) => !TERMINAL_STATUSES.has(task.status));
+  for (const task of interrupted) {
+    if (INTERRUPTED_TASK_POLICY === "requeue") {
+      updateTask(task.taskId, { status: "QUEUED", progress: null });
+    } else {
+      updateTask(task.taskId, {
+        status: "FAILED",
+        outputUrl: null,
+        errorCode: "TASK_INTERRUPTED",
+        message: "the server stopped before the task finished",
+        progress: {
+          stage: "INTERRUPTED",
+          progress: task.progress?.progress ?? 0
+        }
+      });
+    }
+  }
+  if (interrupted.length > 0) {
+    logWarn("tasks were interrupted by a server restart", {
+      policy: INTERRUPTED_TASK_POLICY,
+      taskIds: interrupted.map((task) => task.taskId)
+    });
+  }
+
+  await evictExpiredRecords();
+  for (const task of tasks.values()) {
+    replayTaskUsage(task);
+  }
+  if (stored.unreadable.length > 0) {
+    logWarn("some stored records could not be read; skipping the orphaned output sweep", {
+      files: stored.unreadable
+    });
+  } else if (taskStore.persistent) {
+    await removeOrphanedOutputs();
+  }
+  logInfo("task store restored", { taskCount: tasks.size, batchCount: batches.size });
+  return INTERRUPTED_TASK_POLICY === "requeue" ? interrupted.map((task) => task.taskId) : [];
+}
+
+function resumeTasks(taskIds) {
+  for (const taskId of taskIds) {
+    void enqueueTask(tasks.get(taskId));
+  }
+}
+
+function compareFingerprints(original, reproduction) {
+  const keys = [
+    "model",
+    "modelVersion",
+    "systemInstructionSha256",
+    "promptSha256",
+    "historySha256",
+    "aspectRatio",
+    "imageSize"
+  ];
+  const mismatches = keys.filter((key) => original[key] !== reproduction[key]);
+  if (JSON.stringify(original.inputImages) !== JSON.stringify(reproduction.inputImages)) {
+    mismatches.push("inputImages");
+  }
+  if (JSON.stringify(original.sampling) !== JSON.stringify(reproduction.sampling)) {
+    mismatches.push("sampling");
+  }
+  return mismatches;
+}
+
+function decodeUriPart(value, field) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new HttpError(400, `${field} is not valid percent-encoding`, "INVALID_URL_ENCODING");
+    }
+    throw error;
+  }
 }
 
 function extractTaskId(pathname, suffix = "") {
   const escapedSuffix = suffix ? suffix.replaceAll("/", "\\/") : "";
   const pattern = new RegExp(`^\\/api\\/tasks\\/([^/]+)${escapedSuffix}$`);
   const match = pathname.match(pattern);
-  return match ? decodeURIComponent(match[1]) : null;
+  return match ? decodeUriPart(match[1], "task id") : null;
 }
 
 async function requestHandler(req, res) {
   try {
     const requestUrl = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
-    const pathname = decodeURIComponent(requestUrl.pathname);
+    const pathname = decodeUriPart(requestUrl.pathname, "request path");
+    const client =
+      (pathname.startsWith("/api/") && !PUBLIC_API_ROUTES.has(pathname)) ||
+      pathname.startsWith("/outputs/")
+        ? apiAuth.authenticate(req, requestUrl)
+        : null;
 
     if (req.method === "GET" && pathname === "/health") {
       return sendJson(res, 200, {
@@ -359,44 +1513,223 @@ async function requestHandler(req, res) {
       });
     }
 
-    if (req.method === "GET" && pathname === "/api/tasks") {
-      const allTasks = [...tasks.values()].map((task) => toTaskView(task));
-      return sendJson(res, 200, { tasks: allTasks });
+    if (req.method === "GET" && pathname === "/api/models") {
+      return sendJson(res, 200, {
+        models: SUPPORTED_MODELS.map((id) => ({
+          id,
+          aspectRatios: MODEL_OUTPUT_OPTIONS[id].aspectRatios,
+          imageSizes: MODEL_OUTPUT_OPTIONS[id].imageSizes
+        }))
+      });
     }
 
-    if (req.method === "POST" && pathname === "/api/tasks") {
-      const body = await parseJsonBody(req);
-      const contract = validateGenerationContract(body);
+    if (req.method === "GET" && pathname === "/api/feature-types") {
+      return sendJson(res, 200, { featureTypes: listFeatureTypes() });
+    }
+
+    if (req.method === "GET" && pathname === "/api/usage") {
+      apiAuth.requireAdmin(client);
+      return sendJson(res, 200, {
+        ...usageLedger.snapshot(),
+        priceTable: PRICE_TABLE
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/api/me") {
+      return sendJson(res, 200, {
+        authEnabled: apiAuth.enabled,
+        client: client ? apiAuth.usage(client) : null
+      });
+    }
+
+    if (pathname.startsWith("/api/admin/")) {
+      apiAuth.requireAdmin(client);
+    }
 
-      if (tasks.has(contract.taskId)) {
-        throw new HttpError(409, `taskId ${contract.taskId} already exists`, "TASK_EXISTS");
+    if (req.method === "GET" && pathname === "/api/admin/queue") {
+      return sendJson(res, 200, jobQueue.snapshot());
+    }
+
+    const queueActionMatch = pathname.match(/^\/api\/admin\/queue\/(pause|resume)$/);
+    if (req.method === "POST" && queueActionMatch) {
+      if (queueActionMatch[1] === "pause") {
+        jobQueue.pause();
+      } else {
+        jobQueue.resume();
       }
+      const snapshot = jobQueue.snapshot();
+      logInfo(`task queue ${snapshot.paused ? "paused" : "resumed"}`, {
+        runningCount: snapshot.runningCount,
+        queuedCount: snapshot.queuedCount
+      });
+      return sendJson(res, 200, snapshot);
+    }
 
-      const record = createTaskRecord(contract);
-      tasks.set(contract.taskId, record);
-      logInfo(`[${contract.taskId}] task accepted`, {
-        model: contract.model,
-        referenceWeight: contract.reference.weight,
-        sourceCount: contract.sources.length,
-        featureTypes: contract.sources.map((source) => source.featureType)
+    if (req.method === "POST" && pathname === "/api/assets") {
+      const { asset, created } = await uploadAsset(req);
+      logInfo(`asset ${created ? "stored" : "reused"}`, {
+        assetId: asset.assetId,
+        mimeType: asset.mimeType,
+        byteLength: asset.byteLength
       });
+      return sendJson(res, created ? 201 : 200, toAssetView(asset));
+    }
 
-      setTimeout(() => {
-        tasks.delete(contract.taskId);
-        logInfo(`[${contract.taskId}] task evicted from in-memory store`);
-      }, 60 * 60 * 1000).unref();
+    const assetMatch = pathname.match(/^\/api\/assets\/([^/]+)(\/content)?$/);
+    if (req.method === "GET" && assetMatch) {
+      const asset = ASSET_ID_PATTERN.test(assetMatch[1]) ? await assetStore.get(assetMatch[1]) : null;
+      if (!asset) {
+        throw new HttpError(404, "asset not found", "ASSET_NOT_FOUND");
+      }
+      if (!assetMatch[2]) {
+        return sendJson(res, 200, toAssetView(asset));
+      }
+      const { data } = await assetStore.read(asset.assetId);
+      res.writeHead(200, {
+        "content-type": asset.mimeType,
+        "content-length": data.length,
+        "cache-control": "public, max-age=31536000, immutable"
+      });
+      res.end(data);
+      return;
+    }
 
+    if (req.method === "POST" && pathname === "/api/batches") {
+      apiAuth.consumeSubmission(client);
+      const batch = createBatch(await readBatchInput(req, requestUrl), client);
+      const batchUrl = `/api/batches/${encodeURIComponent(batch.batchId)}`;
       sendJson(res, 202, {
-        ...toTaskView(record),
-        statusUrl: `/api/tasks/${encodeURIComponent(contract.taskId)}`,
-        streamUrl: `/api/tasks/${encodeURIComponent(contract.taskId)}/events`
+        ...toBatchView(batch),
+        statusUrl: batchUrl,
+        streamUrl: `${batchUrl}/events`
       });
-
-      void runTask(contract.taskId);
+      void runBatch(batch);
       return;
     }
 
+    const batchMatch = pathname.match(/^\/api\/batches\/([^/]+)(\/events|\/outputs\.zip)?$/);
+    if (batchMatch) {
+      const batchId = decodeUriPart(batchMatch[1], "batch id");
+      const suffix = batchMatch[2] ?? "";
+      if (batches.has(batchId) && !apiAuth.canAccess(client, batches.get(batchId).owner ?? null)) {
+        throw new HttpError(403, `batch ${batchId} belongs to another client`, "BATCH_FORBIDDEN");
+      }
+      if (req.method === "DELETE" && suffix === "") {
+        return sendJson(res, 200, cancelBatch(batchId));
+      }
+      if (req.method === "GET") {
+        if (suffix === "/outputs.zip") {
+          const archive = await createBatchArchive(batchId);
+          res.writeHead(200, {
+            "content-type": "application/zip",
+            "content-length": archive.length,
+            "content-disposition": `attachment; filename="${batchId}.zip"`,
+            "cache-control": "no-store"
+          });
+          res.end(archive);
+          return;
+        }
+
+        const batch = batches.get(batchId);
+        if (!batch) {
+          throw new HttpError(404, "batch not found", "BATCH_NOT_FOUND");
+        }
+        if (suffix === "/events") {
+          return openEventStream(req, res, {
+            clientsByKey: batchSseClients,
+            key: batchId,
+            logPrefix: `[batch ${batchId}]`,
+            event: "batch",
+            payload: toBatchView(batch)
+          });
+        }
+        return sendJson(res, 200, toBatchView(batch));
+      }
+    }
+
+    const sessionMatch = pathname.match(/^\/api\/sessions\/([^/]+)$/);
+    if (req.method === "GET" && sessionMatch) {
+      const sessionId = decodeUriPart(sessionMatch[1], "session id");
+      return sendJson(res, 200, { sessionId, tasks: listSessionTasks(sessionId, client) });
+    }
+
+    if (req.method === "GET" && pathname === "/api/tasks") {
+      const visibleTasks = [...tasks.values()]
+        .filter((task) => apiAuth.canAccess(client, task.owner ?? null))
+        .map((task) => toTaskView(task));
+      return sendJson(res, 200, { tasks: visibleTasks });
+    }
+
+    if (req.method === "POST" && pathname === "/api/tasks") {
+      apiAuth.consumeSubmission(client);
+      const body = await parseJsonBody(req);
+      const record = acceptTask(validateGenerationContract(body), { client });
+      return sendAccepted(res, record);
+    }
+
+    if (req.method === "POST" && pathname === "/api/tasks/preview") {
+      const body = await parseJsonBody(req);
+      return sendJson(res, 200, await previewTask(body, client));
+    }
+
+    // Every /api/tasks/:taskId[/action] route below acts on an existing task owned by the caller.
+    const taskRouteMatch = pathname.match(/^\/api\/tasks\/([^/]+)(\/[^/]+)?$/);
+    if (taskRouteMatch) {
+      ensureTaskAccess(tasks.get(decodeUriPart(taskRouteMatch[1], "task id")), client);
+    }
+
+    if (req.method === "DELETE" || req.method === "POST") {
+      const cancelTaskId =
+        req.method === "DELETE" ? extractTaskId(pathname) : extractTaskId(pathname, "/cancel");
+      if (cancelTaskId) {
+        return sendJson(res, 200, toTaskView(cancelTask(cancelTaskId)));
+      }
+    }
+
+    if (req.method === "POST") {
+      const reproduceTaskId = extractTaskId(pathname, "/reproduce");
+      if (reproduceTaskId) {
+        apiAuth.consumeSubmission(client);
+        const hasBody = Number(req.headers["content-length"] || 0) > 0;
+        const body = hasBody ? await parseJsonBody(req) : {};
+        const { record, warnings } = reproduceTask(reproduceTaskId, body, client);
+        return sendAccepted(res, record, { reproductionWarnings: warnings });
+      }
+
+      const retryTaskId = extractTaskId(pathname, "/retry");
+      if (retryTaskId) {
+        apiAuth.consumeSubmission(client);
+        return sendAccepted(res, retryTask(retryTaskId));
+      }
+
+      const cloneTaskId = extractTaskId(pathname, "/clone");
+      if (cloneTaskId) {
+        apiAuth.consumeSubmission(client);
+        const hasBody = Number(req.headers["content-length"] || 0) > 0;
+        const body = hasBody ? await parseJsonBody(req) : {};
+        return sendAccepted(res, cloneTask(cloneTaskId, body, client));
+      }
+
+      const chooseTaskId = extractTaskId(pathname, "/choose");
+      if (chooseTaskId) {
+        const body = await parseJsonBody(req);
+        return sendJson(res, 200, toTaskView(chooseTaskOutput(chooseTaskId, body)));
+      }
+    }
+
     if (req.method === "GET") {
+      const manifestTaskId = extractTaskId(pathname, "/manifest");
+      if (manifestTaskId) {
+        const task = tasks.get(manifestTaskId);
+        if (!task) {
+          throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
+        }
+        if (!task.manifest) {
+          throw new HttpError(409, "only successful tasks have a manifest", "MANIFEST_NOT_READY");
+        }
+        return sendJson(res, 200, task.manifest);
+      }
+
       const streamTaskId = extractTaskId(pathname, "/events");
       if (streamTaskId) {
         const task = tasks.get(streamTaskId);
@@ -404,48 +1737,13 @@ async function requestHandler(req, res) {
           throw new HttpError(404, "task not found", "TASK_NOT_FOUND");
         }
 
-        res.writeHead(200, {
-          "content-type": "text/event-stream; charset=utf-8",
-          connection: "keep-alive",
-          "cache-control": "no-store"
+        return openEventStream(req, res, {
+          clientsByKey: sseClients,
+          key: streamTaskId,
+          logPrefix: `[${streamTaskId}]`,
+          event: "status",
+          payload: toTaskView(task)
         });
-
-        res.write("retry: 2500\n\n");
-        writeSseEvent(res, "status", toTaskView(task));
-
-        const record = {
-          res,
-          keepAlive: setInterval(() => {
-            res.write(": keep-alive\n\n");
-          }, 15000)
-        };
-
-        const clients = sseClients.get(streamTaskId) ?? new Set();
-        clients.add(record);
-        sseClients.set(streamTaskId, clients);
-        logInfo(`[${streamTaskId}] SSE client connected`, {
-          clientCount: clients.size
-        });
-
-        req.on("close", () => {
-          clearInterval(record.keepAlive);
-          const entries = sseClients.get(streamTaskId);
-          if (!entries) {
-            return;
-          }
-          entries.delete(record);
-          if (entries.size === 0) {
-            sseClients.delete(streamTaskId);
-            logInfo(`[${streamTaskId}] SSE client disconnected`, {
-              clientCount: 0
-            });
-            return;
-          }
-          logInfo(`[${streamTaskId}] SSE client disconnected`, {
-            clientCount: entries.size
-          });
-        });
-        return;
       }
 
       const taskId = extractTaskId(pathname);
@@ -458,7 +1756,7 @@ async function requestHandler(req, res) {
       }
     }
 
-    const served = await handleStatic(req, res, pathname);
+    const served = await handleStatic(req, res, pathname, client);
     if (served) {
       return;
     }
@@ -466,12 +1764,17 @@ async function requestHandler(req, res) {
     throw new HttpError(404, "Not Found", "NOT_FOUND");
   } catch (error) {
     if (error instanceof HttpError) {
-      return sendJson(res, error.statusCode, {
-        error: {
-          code: error.code,
-          message: error.message
-        }
-      });
+      return sendJson(
+        res,
+        error.statusCode,
+        {
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        },
+        error.headers
+      );
     }
 
     if (error instanceof ContractValidationError) {
@@ -488,6 +1791,8 @@ async function requestHandler(req, res) {
 }
 
 await mkdir(OUTPUT_DIR, { recursive: true });
+await assetStore.init();
+const resumedTaskIds = await restoreTaskStore();
 
 const server = createServer((req, res) => {
   void requestHandler(req, res);
@@ -495,4 +1800,27 @@ const server = createServer((req, res) => {
 
 server.listen(PORT, HOST, () => {
   logInfo(`Nano Banana Editor server listening on http://${HOST}:${PORT}`);
+  if (apiAuth.enabled) {
+    logInfo("API key authentication enabled");
+  } else if (!["127.0.0.1", "localhost", "::1"].includes(HOST)) {
+    logWarn("API_KEYS is not set; every client that can reach the server may submit tasks");
+  }
+  if (customFeatureTypes.length > 0) {
+    logInfo("custom feature types loaded", {
+      featureTypes: customFeatureTypes.map((item) => item.id)
+    });
+  }
+  resumeTasks(resumedTaskIds);
 });
+
+setInterval(() => {
+  void evictExpiredRecords();
+}, RETENTION_SWEEP_INTERVAL_MS).unref();
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    logInfo(`received ${signal}, flushing task store`);
+    server.close();
+    void taskStore.flush().finally(() => process.exit(0));
+  });
+}
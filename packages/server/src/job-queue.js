@@ -0,0 +1,126 @@
+const DURATION_SAMPLE_SIZE = 20;
+
+// Jobs start in priority order (higher first), FIFO within a priority. Each job may carry
+// extra limits, e.g. one per model or per batch, that cap how many jobs sharing a key run
+// at once; a job blocked by its limits lets later jobs overtake it.
+export function createJobQueue({ concurrency, run, onChange = () => {} }) {
+  const queued = [];
+  const running = new Map();
+  const runningByKey = new Map();
+  const durations = [];
+  let paused = false;
+
+  function canStart(job) {
+    return job.limits.every(({ key, max }) => (runningByKey.get(key) ?? 0) < max);
+  }
+
+  function adjustRunning(job, delta) {
+    for (const { key } of job.limits) {
+      runningByKey.set(key, (runningByKey.get(key) ?? 0) + delta);
+    }
+  }
+
+  function start(job) {
+    running.set(job.id, job);
+    adjustRunning(job, 1);
+    const startedAtMs = Date.now();
+    Promise.resolve()
+      .then(() => run(job.id))
+      .catch(() => {})
+      .finally(() => {
+        running.delete(job.id);
+        adjustRunning(job, -1);
+        durations.push(Date.now() - startedAtMs);
+        if (durations.length > DURATION_SAMPLE_SIZE) {
+          durations.shift();
+        }
+        job.resolve();
+        pump();
+        onChange();
+      });
+  }
+
+  function pump() {
+    while (!paused && running.size < concurrency) {
+      const index = queued.findIndex(canStart);
+      if (index === -1) {
+        return;
+      }
+      start(queued.splice(index, 1)[0]);
+    }
+  }
+
+  function averageDurationMs() {
+    if (durations.length === 0) {
+      return null;
+    }
+    return Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length);
+  }
+
+  return {
+    enqueue({ id, priority = 0, limits = [] }) {
+      let resolve;
+      const done = new Promise((settle) => {
+        resolve = settle;
+      });
+      const job = { id, priority, limits, resolve };
+      const index = queued.findIndex((other) => other.priority < priority);
+      queued.splice(index === -1 ? queued.length : index, 0, job);
+      pump();
+      onChange();
+      return done;
+    },
+
+    remove(id) {
+      const index = queued.findIndex((job) => job.id === id);
+      if (index === -1) {
+        return false;
+      }
+      queued.splice(index, 1)[0].resolve();
+      onChange();
+      return true;
+    },
+
+    position(id) {
+      const index = queued.findIndex((job) => job.id === id);
+      return index === -1 ? null : index + 1;
+    },
+
+    // Rough estimate: jobs ahead drain in waves of `concurrency` at the recent average duration.
+    estimatedWaitMs(id) {
+      const position = this.position(id);
+      const average = averageDurationMs();
+      if (position === null || average === null || paused) {
+        return null;
+      }
+      return Math.ceil(position / concurrency) * average;
+    },
+
+    pause() {
+      paused = true;
+      onChange();
+    },
+
+    resume() {
+      paused = false;
+      pump();
+      onChange();
+    },
+
+    snapshot() {
+      return {
+        paused,
+        concurrency,
+        runningCount: running.size,
+        queuedCount: queued.length,
+        averageDurationMs: averageDurationMs(),
+        running: [...running.keys()],
+        queued: queued.map((job, index) => ({
+          taskId: job.id,
+          priority: job.priority,
+          position: index + 1
+        }))
+      };
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import { ContractValidationError } from "../../shared/src/index.js";
+
+const HEADER_SEPARATOR = Buffer.from("\r\n\r\n");
+
+export function readMultipartBoundary(contentType) {
+  const match = String(contentType).match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] ?? match[2]).trim() : null;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split("\r\n")) {
+    const colon = line.indexOf(":");
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+  const disposition = headers["content-disposition"] ?? "";
+  return {
+    name: disposition.match(/\bname="([^"]*)"/i)?.[1] ?? null,
+    filename: disposition.match(/\bfilename="([^"]*)"/i)?.[1] ?? null,
+    contentType: headers["content-type"] ?? null
+  };
+}
+
+export function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let offset = body.indexOf(delimiter);
+  if (offset === -1) {
+    throw new ContractValidationError("INVALID_MULTIPART", "multipart body does not contain its boundary");
+  }
+
+  while (offset !== -1) {
+    const start = offset + delimiter.length;
+    if (body.subarray(start, start + 2).toString("latin1") === "--") {
+      break;
+    }
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) {
+      throw new ContractValidationError("INVALID_MULTIPART", "multipart body is missing its closing boundary");
+    }
+    // Each part sits between "\r\n" after the delimiter and "\r\n" before the next one.
+    const part = body.subarray(start + 2, next - 2);
+    const headerEnd = part.indexOf(HEADER_SEPARATOR);
+    if (headerEnd === -1) {
+      throw new ContractValidationError("INVALID_MULTIPART", "multipart part has no header block");
+    }
+    parts.push({
+      ...parsePartHeaders(part.subarray(0, headerEnd).toString("utf8")),
+      data: part.subarray(headerEnd + HEADER_SEPARATOR.length)
+    });
+    offset = next;
+  }
+  return parts;
+}
@@ -0,0 +1,221 @@
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+import { pngChunk, readImageDimensions, sniffImageMimeType } from "../../engine/src/index.js";
+
+const SOFTWARE = "Nano Banana Editor";
+const XMP_NAMESPACE = "urn:nano-banana-editor:generation:1.0";
+const JPEG_XMP_HEADER = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1");
+const MAX_JPEG_SEGMENT_LENGTH = 0xffff;
+const WEBP_FLAG_ALPHA = 0x10;
+const WEBP_FLAG_XMP = 0x04;
+
+export function sha256Hex(buffer) {
+  return createHash("sha256").update(buffer).digest("hex");
+}
+
+export function buildOutputMetadata({ taskId, result, createdAt }) {
+  const plan = result.workflowGraph;
+  const planNode = (id) => plan.nodes.find((node) => node.id === id) ?? null;
+  const generateNode = planNode("gemini-generate");
+  return {
+    software: SOFTWARE,
+    taskId,
+    createdAt,
+    model: plan.model,
+    provider: result.provider,
+    modelVersion: result.fingerprint?.modelVersion ?? null,
+    prompt: generateNode.prompt,
+    negativePrompt: generateNode.negativePrompt ?? "",
+    featurePlan: {
+      reference: {
+        weight: planNode("reference").weight,
+        masked: planNode("reference").masked
+      },
+      skeleton: planNode("skeleton") ? { weight: planNode("skeleton").weight } : null,
+      soul: planNode("soul") ? { weight: planNode("soul").weight } : null,
+      sources: planNode("feature-track").sources.map(({ featureType, weight }) => ({
+        featureType,
+        weight
+      }))
+    },
+    workflow:
+      result.workflowRun?.nodes.length > 1
+        ? result.workflowRun.nodes.filter((node) => node.status === "DONE").map((node) => node.id)
+        : null,
+    sampling: result.fingerprint?.sampling ?? null,
+    inputs: result.fingerprint?.inputImages ?? []
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function buildXmpPacket(metadata) {
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:nb="${XMP_NAMESPACE}">`,
+    `<xmp:CreatorTool>${SOFTWARE}</xmp:CreatorTool>`,
+    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.prompt)}</rdf:li></rdf:Alt></dc:description>`,
+    `<nb:taskId>${escapeXml(metadata.taskId)}</nb:taskId>`,
+    `<nb:model>${escapeXml(metadata.model)}</nb:model>`,
+    `<nb:generation>${escapeXml(JSON.stringify(metadata))}</nb:generation>`,
+    "</rdf:Description>",
+    "</rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>'
+  ].join("\n");
+}
+
+function pngTextChunk(keyword, text) {
+  return pngChunk("tEXt", Buffer.from(`${keyword}\0${text}`, "latin1"));
+}
+
+function pngInternationalTextChunk(keyword, text) {
+  return pngChunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from(`${keyword}\0\0\0\0\0`, "latin1"),
+      Buffer.from(text, "utf8")
+    ])
+  );
+}
+
+function embedPngMetadata(buffer, metadata) {
+  // IHDR is always the first chunk and 13 bytes long, so text chunks go right after it.
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+  if (buffer.length < ihdrEnd || buffer.toString("latin1", 12, 16) !== "IHDR") {
+    return null;
+  }
+  return Buffer.concat([
+    buffer.subarray(0, ihdrEnd),
+    pngTextChunk("Software", SOFTWARE),
+    pngInternationalTextChunk("Description", metadata.prompt),
+    pngInternationalTextChunk("Generation", JSON.stringify(metadata)),
+    buffer.subarray(ihdrEnd)
+  ]);
+}
+
+function embedJpegXmp(buffer, xmp) {
+  const payload = Buffer.concat([JPEG_XMP_HEADER, Buffer.from(xmp, "utf8")]);
+  if (payload.length + 2 > MAX_JPEG_SEGMENT_LENGTH) {
+    return null;
+  }
+  let insertAt = 2;
+  if (buffer[2] === 0xff && buffer[3] === 0xe0) {
+    insertAt = 4 + buffer.readUInt16BE(4);
+  }
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([buffer.subarray(0, insertAt), header, payload, buffer.subarray(insertAt)]);
+}
+
+function readWebpChunks(buffer) {
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks.push({
+      fourcc: buffer.toString("ascii", offset, offset + 4),
+      data: buffer.subarray(offset + 8, offset + 8 + size)
+    });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+function embedWebpXmp(buffer, xmp) {
+  const chunks = readWebpChunks(buffer).filter((chunk) => chunk.fourcc !== "XMP ");
+  let extended = chunks.find((chunk) => chunk.fourcc === "VP8X");
+  if (!extended) {
+    const dimensions = readImageDimensions(buffer);
+    if (!dimensions || chunks.length === 0) {
+      return null;
+    }
+    const image = chunks[0];
+    const hasAlpha = image.fourcc === "VP8L" && ((image.data.readUInt32LE(1) >>> 28) & 1) === 1;
+    extended = { fourcc: "VP8X", data: Buffer.alloc(10) };
+    extended.data[0] = hasAlpha ? WEBP_FLAG_ALPHA : 0;
+    extended.data.writeUIntLE(dimensions.width - 1, 4, 3);
+    extended.data.writeUIntLE(dimensions.height - 1, 7, 3);
+    chunks.unshift(extended);
+  } else {
+    extended.data = Buffer.from(extended.data);
+  }
+  extended.data[0] |= WEBP_FLAG_XMP;
+  chunks.push({ fourcc: "XMP ", data: Buffer.from(xmp, "utf8") });
+
+  const body = Buffer.concat(
+    chunks.flatMap(({ fourcc, data }) => {
+      const header = Buffer.alloc(8);
+      header.write(fourcc, 0, "ascii");
+      header.writeUInt32LE(data.length, 4);
+      return data.length % 2 === 1 ? [header, data, Buffer.alloc(1)] : [header, data];
+    })
+  );
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, "ascii");
+  riff.writeUInt32LE(4 + body.length, 4);
+  riff.write("WEBP", 8, "ascii");
+  return Buffer.concat([riff, body]);
+}
+
+export function embedOutputMetadata(buffer, mimeType, metadata) {
+  const detectedMimeType = sniffImageMimeType(buffer) ?? mimeType;
+  let embedded = null;
+  let format = null;
+  if (detectedMimeType === "image/png") {
+    embedded = embedPngMetadata(buffer, metadata);
+    format = "png-text";
+  } else if (detectedMimeType === "image/jpeg") {
+    embedded = embedJpegXmp(buffer, buildXmpPacket(metadata));
+    format = "jpeg-xmp";
+  } else if (detectedMimeType === "image/webp") {
+    embedded = embedWebpXmp(buffer, buildXmpPacket(metadata));
+    format = "webp-xmp";
+  }
+  return embedded ? { buffer: embedded, format } : { buffer, format: null };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function computeSignature(manifest, secret) {
+  const unsigned = { ...manifest };
+  delete unsigned.signature;
+  return createHmac("sha256", secret).update(canonicalJson(unsigned)).digest("hex");
+}
+
+export function signManifest(manifest, secret) {
+  return {
+    ...manifest,
+    signature: {
+      algorithm: "HMAC-SHA256",
+      keyId: sha256Hex(secret).slice(0, 16),
+      value: computeSignature(manifest, secret)
+    }
+  };
+}
+
+export function verifyManifest(manifest, secret) {
+  const expected = Buffer.from(computeSignature(manifest, secret), "hex");
+  const actual = Buffer.from(String(manifest?.signature?.value ?? ""), "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
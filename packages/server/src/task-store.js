@@ -0,0 +1,129 @@
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const RECORD_KINDS = ["tasks", "batches"];
+
+export function createMemoryTaskStore() {
+  return {
+    persistent: false,
+    async load() {
+      return { tasks: [], batches: [], unreadable: [] };
+    },
+    saveTask() {},
+    deleteTask() {},
+    saveBatch() {},
+    deleteBatch() {},
+    async flush() {}
+  };
+}
+
+function recordPath(directory, kind, id) {
+  return path.join(directory, kind, `${encodeURIComponent(id)}.json`);
+}
+
+async function removeFile(filePath) {
+  try {
+    await unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+// Task records change many times per second while streaming, so writes are coalesced
+// per record and flushed after a short delay; each file is replaced atomically.
+export function createFileTaskStore({ directory, writeDelayMs = 200, onError = () => {} }) {
+  const pending = new Map();
+  let timer = null;
+  let writing = Promise.resolve();
+
+  async function writeRecord(filePath, record) {
+    if (record === null) {
+      await removeFile(filePath);
+      return;
+    }
+    const tempPath = `${filePath}.tmp`;
+    await writeFile(tempPath, JSON.stringify(record));
+    await rename(tempPath, filePath);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const entries = [...pending.entries()];
+    pending.clear();
+    writing = writing.then(() =>
+      Promise.all(
+        entries.map(([filePath, record]) =>
+          writeRecord(filePath, record).catch((error) => onError(error, filePath))
+        )
+      )
+    );
+    return writing;
+  }
+
+  function schedule(kind, id, record) {
+    pending.set(recordPath(directory, kind, id), record);
+    timer ??= setTimeout(flush, writeDelayMs);
+  }
+
+  async function readRecords(kind, unreadable) {
+    const kindDirectory = path.join(directory, kind);
+    const records = [];
+    for (const name of await readdir(kindDirectory)) {
+      const filePath = path.join(kindDirectory, name);
+      if (name.endsWith(".tmp")) {
+        await removeFile(filePath);
+        continue;
+      }
+      if (!name.endsWith(".json")) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(await readFile(filePath, "utf8")));
+      } catch (error) {
+        unreadable.push(filePath);
+        onError(error, filePath);
+      }
+    }
+    return records;
+  }
+
+  return {
+    persistent: true,
+    async load() {
+      await Promise.all(
+        RECORD_KINDS.map((kind) => mkdir(path.join(directory, kind), { recursive: true }))
+      );
+      const unreadable = [];
+      const [tasks, batches] = await Promise.all(
+        RECORD_KINDS.map((kind) => readRecords(kind, unreadable))
+      );
+      return { tasks, batches, unreadable };
+    },
+    saveTask(task) {
+      schedule("tasks", task.taskId, task);
+    },
+    deleteTask(taskId) {
+      schedule("tasks", taskId, null);
+    },
+    saveBatch(batch) {
+      schedule("batches", batch.batchId, batch);
+    },
+    deleteBatch(batchId) {
+      schedule("batches", batchId, null);
+    },
+    flush
+  };
+}
+
+export function createTaskStore(kind, options) {
+  if (kind === "memory") {
+    return createMemoryTaskStore();
+  }
+  if (kind === "file") {
+    return createFileTaskStore(options);
+  }
+  throw new Error(`unknown TASK_STORE "${kind}"; use file or memory`);
+}
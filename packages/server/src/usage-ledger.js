@@ -0,0 +1,73 @@
+function emptyTotals() {
+  return {
+    taskCount: 0,
+    succeededCount: 0,
+    failedCount: 0,
+    promptTokens: 0,
+    candidateTokens: 0,
+    thoughtTokens: 0,
+    totalTokens: 0,
+    imageCount: 0,
+    attempts: 0,
+    estimatedCostUsd: 0
+  };
+}
+
+function accumulate(totals, entry) {
+  totals.taskCount += 1;
+  if (entry.status === "SUCCESS") {
+    totals.succeededCount += 1;
+  } else if (entry.status === "FAILED") {
+    totals.failedCount += 1;
+  }
+  totals.promptTokens += entry.usage.promptTokens;
+  totals.candidateTokens += entry.usage.candidateTokens;
+  totals.thoughtTokens += entry.usage.thoughtTokens;
+  totals.totalTokens += entry.usage.totalTokens;
+  totals.imageCount += entry.usage.imageCount;
+  totals.attempts += entry.usage.attempts;
+  totals.estimatedCostUsd = Number(
+    (totals.estimatedCostUsd + entry.usage.estimatedCostUsd).toFixed(6)
+  );
+}
+
+export function createUsageLedger() {
+  const totals = emptyTotals();
+  const byModel = new Map();
+  const byDay = new Map();
+
+  return {
+    record({ taskId, model, status, usage, recordedAt = new Date().toISOString() }) {
+      if (!usage) {
+        return;
+      }
+      const entry = { taskId, model, status, usage };
+      const day = recordedAt.slice(0, 10);
+
+      accumulate(totals, entry);
+      if (!byModel.has(model)) {
+        byModel.set(model, emptyTotals());
+      }
+      accumulate(byModel.get(model), entry);
+      if (!byDay.has(day)) {
+        byDay.set(day, emptyTotals());
+      }
+      accumulate(byDay.get(day), entry);
+    },
+
+    snapshot() {
+      return {
+        currency: "USD",
+        totals: { ...totals },
+        byModel: Object.fromEntries(
+          [...byModel.entries()].map(([model, value]) => [model, { ...value }])
+        ),
+        byDay: Object.fromEntries(
+          [...byDay.entries()]
+            .sort(([left], [right]) => left.localeCompare(right))
+            .map(([day, value]) => [day, { ...value }])
+        )
+      };
+    }
+  };
+}
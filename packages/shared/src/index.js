@@ -5,23 +5,127 @@ export const IMAGE_ROLES = Object.freeze({
   SOUL: "SOUL"
 });
 
-export const FEATURE_TYPES = Object.freeze([
-  "FACE",
-  "STYLE",
-  "MATERIAL",
-  "COMPONENT"
+export const BUILT_IN_FEATURE_TYPES = Object.freeze([
+  {
+    id: "FACE",
+    label: { zh: "人脸", en: "Face" },
+    hint: "Preserve identity and facial consistency.",
+    defaultWeight: 0.8
+  },
+  {
+    id: "STYLE",
+    label: { zh: "风格", en: "Style" },
+    hint: "Transfer visual style, color language, and rendering tone.",
+    defaultWeight: 0.7
+  },
+  {
+    id: "MATERIAL",
+    label: { zh: "材质", en: "Material" },
+    hint: "Transfer material and texture fidelity.",
+    defaultWeight: 0.7
+  },
+  {
+    id: "COMPONENT",
+    label: { zh: "部件", en: "Component" },
+    hint: "Transfer specific components or accessories.",
+    defaultWeight: 0.65
+  },
+  {
+    id: "POSE",
+    label: { zh: "姿态", en: "Pose" },
+    hint: "Transfer body pose, gesture and limb arrangement.",
+    defaultWeight: 0.7
+  },
+  {
+    id: "LIGHTING",
+    label: { zh: "光照", en: "Lighting" },
+    hint: "Transfer lighting direction, intensity, color temperature and shadow quality.",
+    defaultWeight: 0.6
+  },
+  {
+    id: "BACKGROUND",
+    label: { zh: "背景", en: "Background" },
+    hint: "Adopt the background environment while keeping the main subject intact.",
+    defaultWeight: 0.6
+  },
+  {
+    id: "COLOR_PALETTE",
+    label: { zh: "配色", en: "Color palette" },
+    hint: "Transfer the dominant color palette and color harmony.",
+    defaultWeight: 0.5
+  },
+  {
+    id: "TEXT_LOGO",
+    label: { zh: "文字 / Logo", en: "Text / Logo" },
+    hint: "Reproduce the text or logo faithfully with correct spelling, shape and placement.",
+    defaultWeight: 0.8
+  }
 ]);
 
 export const TASK_STATUSES = Object.freeze([
   "QUEUED",
   "PROCESSING",
   "SUCCESS",
-  "FAILED"
+  "FAILED",
+  "CANCELLED"
 ]);
 
 export const SUPPORTED_MODELS = Object.freeze([
   "gemini-3-pro-image-preview",
-  "gemini-2.5-flash-image"
+  "gemini-2.5-flash-image",
+  "mock-image"
+]);
+
+const COMMON_ASPECT_RATIOS = Object.freeze([
+  "1:1",
+  "2:3",
+  "3:2",
+  "3:4",
+  "4:3",
+  "4:5",
+  "5:4",
+  "9:16",
+  "16:9",
+  "21:9"
+]);
+
+export const MODEL_OUTPUT_OPTIONS = Object.freeze({
+  "gemini-3-pro-image-preview": Object.freeze({
+    aspectRatios: COMMON_ASPECT_RATIOS,
+    imageSizes: Object.freeze(["1K", "2K", "4K"])
+  }),
+  "gemini-2.5-flash-image": Object.freeze({
+    aspectRatios: COMMON_ASPECT_RATIOS,
+    imageSizes: Object.freeze([])
+  }),
+  "mock-image": Object.freeze({
+    aspectRatios: COMMON_ASPECT_RATIOS,
+    imageSizes: Object.freeze(["1K", "2K", "4K"])
+  })
+});
+
+export const MAX_VARIANT_COUNT = 4;
+export const MAX_SEED = 2 ** 31 - 1;
+export const MIN_TASK_PRIORITY = -10;
+export const MAX_TASK_PRIORITY = 10;
+
+export const WORKFLOW_NODE_TYPES = Object.freeze(["load_image", "generate", "select"]);
+export const MAX_WORKFLOW_NODES = 16;
+
+const TASK_IMAGE_REF_PATTERN = /^task:([^#\s]+)(?:#(\d+))?$/;
+const NODE_IMAGE_REF_PATTERN = /^node:([A-Za-z0-9_-]+)(?:#(\d+))?$/;
+const ASSET_IMAGE_REF_PATTERN = /^asset:([a-f0-9]{64})$/;
+const WORKFLOW_NODE_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const WORKFLOW_INHERITED_FIELDS = Object.freeze([
+  "model",
+  "prompt",
+  "negativePrompt",
+  "variantCount",
+  "aspectRatio",
+  "imageSize",
+  "seed",
+  "temperature",
+  "topP"
 ]);
 
 export class ContractValidationError extends Error {
@@ -37,6 +141,64 @@ function isRecord(value) {
   return typeof value === "object" && value !== null && !Array.isArray(value);
 }
 
+const featureTypeRegistry = new Map();
+
+export function registerFeatureType(definition, { builtIn = false } = {}) {
+  if (!isRecord(definition)) {
+    throw new ContractValidationError(
+      "INVALID_FEATURE_TYPE_DEFINITION",
+      "feature type definition must be an object"
+    );
+  }
+
+  const id = ensureString(definition.id, "featureType.id").toUpperCase();
+  if (!/^[A-Z][A-Z0-9_]*$/.test(id)) {
+    throw new ContractValidationError(
+      "INVALID_FEATURE_TYPE_DEFINITION",
+      "featureType.id must contain only letters, digits and underscores",
+      { received: id }
+    );
+  }
+  if (featureTypeRegistry.get(id)?.builtIn && !builtIn && definition.override !== true) {
+    throw new ContractValidationError(
+      "FEATURE_TYPE_CONFLICT",
+      `featureType.id ${id} is a built-in type; set "override": true to replace it`,
+      { received: id }
+    );
+  }
+
+  const label = isRecord(definition.label)
+    ? {
+        zh: ensureString(definition.label.zh ?? definition.label.en ?? id, `${id}.label.zh`),
+        en: ensureString(definition.label.en ?? definition.label.zh ?? id, `${id}.label.en`)
+      }
+    : {
+        zh: ensureString(definition.label ?? id, `${id}.label`),
+        en: ensureString(definition.label ?? id, `${id}.label`)
+      };
+
+  const registered = Object.freeze({
+    id,
+    label: Object.freeze(label),
+    hint: ensureString(definition.hint, `${id}.hint`),
+    defaultWeight:
+      definition.defaultWeight === undefined
+        ? 0.7
+        : ensureWeight(definition.defaultWeight, `${id}.defaultWeight`),
+    builtIn
+  });
+  featureTypeRegistry.set(id, registered);
+  return registered;
+}
+
+export function getFeatureType(id) {
+  return typeof id === "string" ? featureTypeRegistry.get(id.trim().toUpperCase()) ?? null : null;
+}
+
+export function listFeatureTypes() {
+  return [...featureTypeRegistry.values()];
+}
+
 function ensureString(value, field, { allowEmpty = false } = {}) {
   if (typeof value !== "string") {
     throw new ContractValidationError(
@@ -76,6 +238,61 @@ function ensureWeight(value, field) {
   return Number(parsed.toFixed(4));
 }
 
+function ensureNote(value, field) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  return ensureString(value, field, { allowEmpty: true }).slice(0, 280);
+}
+
+function ensureVariantCount(value) {
+  if (value === undefined || value === null) {
+    return 1;
+  }
+  const parsed = typeof value === "number" ? value : Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_VARIANT_COUNT) {
+    throw new ContractValidationError(
+      "INVALID_VARIANT_COUNT",
+      `variantCount must be an integer in range [1, ${MAX_VARIANT_COUNT}]`,
+      { received: value }
+    );
+  }
+  return parsed;
+}
+
+function ensureSamplingParameter(value, field, code, { min, max, integer = false }) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = typeof value === "number" ? value : Number(value);
+  const valid = integer ? Number.isInteger(parsed) : Number.isFinite(parsed);
+  if (!valid || parsed < min || parsed > max) {
+    throw new ContractValidationError(
+      code,
+      `${field} must be ${integer ? "an integer" : "a number"} in range [${min}, ${max}]`,
+      { field, received: value }
+    );
+  }
+  return parsed;
+}
+
+function ensureOutputOption(value, field, allowed, model, code) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const normalized = ensureString(value, field).toUpperCase();
+  if (!allowed.includes(normalized)) {
+    throw new ContractValidationError(
+      code,
+      allowed.length > 0
+        ? `${field} must be one of ${allowed.join(", ")} for model ${model}`
+        : `${field} is not supported by model ${model}`,
+      { field, model, received: value, allowed }
+    );
+  }
+  return normalized;
+}
+
 function validateReference(value) {
   if (!isRecord(value)) {
     throw new ContractValidationError(
@@ -87,7 +304,31 @@ function validateReference(value) {
 
   return {
     imageRef: ensureString(value.imageRef, "reference.imageRef"),
-    weight: ensureWeight(value.weight, "reference.weight")
+    weight: ensureWeight(value.weight, "reference.weight"),
+    note: ensureNote(value.note, "reference.note"),
+    maskRef:
+      value.maskRef === undefined || value.maskRef === null || value.maskRef === ""
+        ? null
+        : ensureString(value.maskRef, "reference.maskRef")
+  };
+}
+
+function validateOptionalRoleImage(value, field, code) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!isRecord(value)) {
+    throw new ContractValidationError(
+      code,
+      `${field} must be an object`,
+      { field, receivedType: typeof value }
+    );
+  }
+
+  return {
+    imageRef: ensureString(value.imageRef, `${field}.imageRef`),
+    weight: ensureWeight(value.weight, `${field}.weight`),
+    note: ensureNote(value.note, `${field}.note`)
   };
 }
 
@@ -101,10 +342,12 @@ function validateSource(value, index) {
   }
 
   const featureType = ensureString(value.featureType, `sources[${index}].featureType`).toUpperCase();
-  if (!FEATURE_TYPES.includes(featureType)) {
+  const definition = getFeatureType(featureType);
+  if (!definition) {
+    const available = listFeatureTypes().map((item) => item.id);
     throw new ContractValidationError(
       "INVALID_FEATURE_TYPE",
-      `sources[${index}].featureType must be one of ${FEATURE_TYPES.join(", ")}`,
+      `sources[${index}].featureType must be one of ${available.join(", ")}`,
       { index, received: featureType }
     );
   }
@@ -112,11 +355,274 @@ function validateSource(value, index) {
   return {
     imageRef: ensureString(value.imageRef, `sources[${index}].imageRef`),
     featureType,
-    weight: ensureWeight(value.weight, `sources[${index}].weight`)
+    weight:
+      value.weight === undefined
+        ? definition.defaultWeight
+        : ensureWeight(value.weight, `sources[${index}].weight`),
+    note: ensureNote(value.note, `sources[${index}].note`)
+  };
+}
+
+export function parseTaskImageRef(imageRef) {
+  const match = typeof imageRef === "string" ? imageRef.match(TASK_IMAGE_REF_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    taskId: match[1],
+    outputIndex: match[2] === undefined ? null : Number(match[2])
+  };
+}
+
+export function parseNodeImageRef(imageRef) {
+  const match = typeof imageRef === "string" ? imageRef.match(NODE_IMAGE_REF_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    nodeId: match[1],
+    outputIndex: match[2] === undefined ? null : Number(match[2])
+  };
+}
+
+export function parseAssetImageRef(imageRef) {
+  const match = typeof imageRef === "string" ? imageRef.match(ASSET_IMAGE_REF_PATTERN) : null;
+  return match ? { assetId: match[1] } : null;
+}
+
+function ensureAssetImageRef(imageRef, port) {
+  if (imageRef.startsWith("asset:") && !parseAssetImageRef(imageRef)) {
+    throw new ContractValidationError(
+      "INVALID_ASSET_REF",
+      `${port} must look like asset:<sha256 hex> when using the asset: scheme`,
+      { port, received: imageRef.slice(0, 80) }
+    );
+  }
+  return imageRef;
+}
+
+export function mapContractImageRefs(contract, mapImageRef) {
+  const mapRoleImage = (image, port) =>
+    image ? { ...image, imageRef: mapImageRef(image.imageRef, `${port}.imageRef`) } : image;
+  return {
+    ...contract,
+    reference: contract.reference
+      ? {
+          ...mapRoleImage(contract.reference, "reference"),
+          maskRef: contract.reference.maskRef
+            ? mapImageRef(contract.reference.maskRef, "reference.maskRef")
+            : null
+        }
+      : null,
+    skeleton: mapRoleImage(contract.skeleton, "skeleton"),
+    soul: mapRoleImage(contract.soul, "soul"),
+    sources: contract.sources.map((source, index) => mapRoleImage(source, `sources.${index}`))
+  };
+}
+
+function workflowNodeError(index, message, details = {}) {
+  return new ContractValidationError("INVALID_WORKFLOW_NODE", `workflow.nodes[${index}]: ${message}`, {
+    nodeIndex: index,
+    ...details
+  });
+}
+
+function validateWorkflowNode(value, index, { taskId, inherited }) {
+  if (!isRecord(value)) {
+    throw workflowNodeError(index, "node must be an object");
+  }
+  const id = ensureString(value.id, `workflow.nodes[${index}].id`);
+  if (!WORKFLOW_NODE_ID_PATTERN.test(id)) {
+    throw workflowNodeError(index, "id may only contain letters, digits, '_' and '-' (max 40 chars)", {
+      received: id
+    });
+  }
+  const type = ensureString(value.type, `workflow.nodes[${index}].type`).toLowerCase();
+
+  if (type === "load_image") {
+    const imageRef = ensureAssetImageRef(
+      ensureString(value.imageRef, `workflow.nodes[${index}].imageRef`),
+      `workflow.nodes[${index}].imageRef`
+    );
+    if (parseNodeImageRef(imageRef)) {
+      throw workflowNodeError(index, "load_image nodes load external images; use node: refs in generate or select nodes");
+    }
+    return { id, type, imageRef, outputCount: 1, inputs: [] };
+  }
+
+  if (type === "select") {
+    const from = parseNodeImageRef(value.from);
+    if (!from || from.outputIndex !== null) {
+      throw workflowNodeError(index, "select.from must be node:<nodeId>", { received: value.from ?? null });
+    }
+    const indexes = value.indexes === undefined ? [0] : value.indexes;
+    if (
+      !Array.isArray(indexes) ||
+      indexes.length === 0 ||
+      indexes.length > MAX_VARIANT_COUNT ||
+      !indexes.every((item) => Number.isInteger(item) && item >= 0)
+    ) {
+      throw workflowNodeError(
+        index,
+        `select.indexes must be 1 to ${MAX_VARIANT_COUNT} non-negative integers`,
+        { received: value.indexes }
+      );
+    }
+    return {
+      id,
+      type,
+      from: value.from,
+      indexes,
+      outputCount: indexes.length,
+      inputs: [{ port: "from", nodeId: from.nodeId, outputIndex: null }]
+    };
+  }
+
+  if (type === "generate") {
+    let contract;
+    try {
+      contract = parseGenerationContract(
+        { ...inherited, ...value, taskId: `${taskId}.${id}` },
+        { workflowNode: true }
+      );
+    } catch (error) {
+      if (error instanceof ContractValidationError) {
+        throw workflowNodeError(index, error.message, {
+          nodeId: id,
+          code: error.code,
+          details: error.details ?? null
+        });
+      }
+      throw error;
+    }
+    const inputs = [];
+    mapContractImageRefs(contract, (imageRef, port) => {
+      const ref = parseNodeImageRef(imageRef);
+      if (ref) {
+        inputs.push({ port, ...ref });
+      }
+      return imageRef;
+    });
+    return { ...contract, id, type, outputCount: contract.variantCount, inputs };
+  }
+
+  throw workflowNodeError(index, `type must be one of ${WORKFLOW_NODE_TYPES.join(", ")}`, {
+    received: type
+  });
+}
+
+function validateWorkflow(value, context) {
+  if (!isRecord(value) || !Array.isArray(value.nodes) || value.nodes.length === 0) {
+    throw new ContractValidationError(
+      "INVALID_WORKFLOW",
+      "workflow must be an object with a non-empty nodes array"
+    );
+  }
+  if (value.nodes.length > MAX_WORKFLOW_NODES) {
+    throw new ContractValidationError(
+      "INVALID_WORKFLOW",
+      `workflow may contain at most ${MAX_WORKFLOW_NODES} nodes`,
+      { nodeCount: value.nodes.length }
+    );
+  }
+
+  const nodes = value.nodes.map((node, index) => validateWorkflowNode(node, index, context));
+  const nodesById = new Map();
+  for (const node of nodes) {
+    if (nodesById.has(node.id)) {
+      throw new ContractValidationError(
+        "INVALID_WORKFLOW",
+        `workflow node id ${node.id} appears more than once`,
+        { nodeId: node.id }
+      );
+    }
+    nodesById.set(node.id, node);
+  }
+
+  const edges = [];
+  for (const node of nodes) {
+    for (const input of node.inputs) {
+      const upstream = nodesById.get(input.nodeId);
+      const edgeDetails = { nodeId: node.id, port: input.port, received: input.nodeId };
+      if (!upstream) {
+        throw new ContractValidationError(
+          "INVALID_WORKFLOW_EDGE",
+          `${node.id}.${input.port} refers to unknown node ${input.nodeId}`,
+          edgeDetails
+        );
+      }
+      if (node.type === "select" && upstream.type === "load_image") {
+        throw new ContractValidationError(
+          "INVALID_WORKFLOW_EDGE",
+          `select node ${node.id} must read from a generate or select node`,
+          edgeDetails
+        );
+      }
+      const outputIndexes = node.type === "select" ? node.indexes : [input.outputIndex ?? 0];
+      if (outputIndexes.some((outputIndex) => outputIndex >= upstream.outputCount)) {
+        throw new ContractValidationError(
+          "INVALID_WORKFLOW_EDGE",
+          `${node.id}.${input.port} reads an output that node ${upstream.id} does not produce`,
+          { ...edgeDetails, outputCount: upstream.outputCount }
+        );
+      }
+      edges.push({
+        from: upstream.id,
+        to: node.id,
+        port: input.port,
+        outputIndex: input.outputIndex
+      });
+    }
+  }
+
+  const indegree = new Map(nodes.map((node) => [node.id, 0]));
+  for (const edge of edges) {
+    indegree.set(edge.to, indegree.get(edge.to) + 1);
+  }
+  const ready = nodes.filter((node) => indegree.get(node.id) === 0).map((node) => node.id);
+  const order = [];
+  while (ready.length > 0) {
+    const nodeId = ready.shift();
+    order.push(nodeId);
+    for (const edge of edges.filter((item) => item.from === nodeId)) {
+      indegree.set(edge.to, indegree.get(edge.to) - 1);
+      if (indegree.get(edge.to) === 0) {
+        ready.push(edge.to);
+      }
+    }
+  }
+  if (order.length < nodes.length) {
+    throw new ContractValidationError("WORKFLOW_CYCLE", "workflow graph contains a cycle", {
+      nodeIds: nodes.filter((node) => !order.includes(node.id)).map((node) => node.id)
+    });
+  }
+
+  const output =
+    value.output === undefined ? order[order.length - 1] : ensureString(value.output, "workflow.output");
+  if (!["generate", "select"].includes(nodesById.get(output)?.type)) {
+    throw new ContractValidationError(
+      "INVALID_WORKFLOW",
+      "workflow.output must name a generate or select node",
+      { received: output }
+    );
+  }
+
+  return {
+    nodes: nodes.map(({ inputs, ...node }) => ({
+      ...node,
+      dependsOn: [...new Set(inputs.map((input) => input.nodeId))]
+    })),
+    edges,
+    order,
+    output
   };
 }
 
 export function validateGenerationContract(input) {
+  return parseGenerationContract(input, { workflowNode: false });
+}
+
+function parseGenerationContract(input, { workflowNode }) {
   if (!isRecord(input)) {
     throw new ContractValidationError(
       "INVALID_CONTRACT",
@@ -141,25 +647,117 @@ export function validateGenerationContract(input) {
     input.negativePrompt === undefined
       ? ""
       : ensureString(input.negativePrompt, "negativePrompt", { allowEmpty: true });
-  const reference = validateReference(input.reference);
+  const hasWorkflow = !workflowNode && input.workflow !== undefined && input.workflow !== null;
+  if (workflowNode && input.workflow !== undefined && input.workflow !== null) {
+    throw new ContractValidationError("INVALID_WORKFLOW", "workflow nodes cannot nest another workflow");
+  }
+  if (hasWorkflow) {
+    const roleField = ["reference", "skeleton", "soul", "sources"].find(
+      (field) =>
+        input[field] !== undefined &&
+        input[field] !== null &&
+        !(Array.isArray(input[field]) && input[field].length === 0)
+    );
+    if (roleField) {
+      throw new ContractValidationError(
+        "INVALID_WORKFLOW",
+        `${roleField} must be set on workflow generate nodes, not on the contract`,
+        { field: roleField }
+      );
+    }
+  }
 
-  if (!Array.isArray(input.sources) || input.sources.length === 0) {
+  const reference = hasWorkflow ? null : validateReference(input.reference);
+  const skeleton = validateOptionalRoleImage(input.skeleton, "skeleton", "INVALID_SKELETON");
+  const soul = validateOptionalRoleImage(input.soul, "soul", "INVALID_SOUL");
+  const parentTaskId = parseTaskImageRef(reference?.imageRef)?.taskId ?? null;
+  const refinesImage = Boolean(
+    parentTaskId || (workflowNode && parseNodeImageRef(reference.imageRef))
+  );
+  const rawSources = hasWorkflow || (refinesImage && input.sources === undefined) ? [] : input.sources;
+
+  if (!Array.isArray(rawSources) || (rawSources.length === 0 && !refinesImage && !hasWorkflow)) {
     throw new ContractValidationError(
       "INVALID_SOURCES",
-      "sources must be a non-empty array"
+      "sources must be a non-empty array unless reference.imageRef refines a previous task"
     );
   }
 
-  const sources = input.sources.map((source, index) => validateSource(source, index));
+  const sources = rawSources.map((source, index) => validateSource(source, index));
+  const variantCount = ensureVariantCount(input.variantCount);
+  const outputOptions = MODEL_OUTPUT_OPTIONS[model];
+  const aspectRatio = ensureOutputOption(
+    input.aspectRatio,
+    "aspectRatio",
+    outputOptions.aspectRatios,
+    model,
+    "UNSUPPORTED_ASPECT_RATIO"
+  );
+  const imageSize = ensureOutputOption(
+    input.imageSize,
+    "imageSize",
+    outputOptions.imageSizes,
+    model,
+    "UNSUPPORTED_IMAGE_SIZE"
+  );
+  const seed = ensureSamplingParameter(input.seed, "seed", "INVALID_SEED", {
+    min: 0,
+    max: MAX_SEED,
+    integer: true
+  });
+  const temperature = ensureSamplingParameter(
+    input.temperature,
+    "temperature",
+    "INVALID_TEMPERATURE",
+    { min: 0, max: 2 }
+  );
+  const topP = ensureSamplingParameter(input.topP, "topP", "INVALID_TOP_P", { min: 0, max: 1 });
 
-  return {
+  const contract = {
     taskId,
     model,
     prompt,
     negativePrompt,
     reference,
-    sources
+    parentTaskId,
+    skeleton,
+    soul,
+    sources,
+    variantCount,
+    aspectRatio,
+    imageSize,
+    seed,
+    temperature,
+    topP
   };
+  mapContractImageRefs(contract, ensureAssetImageRef);
+
+  if (!workflowNode) {
+    mapContractImageRefs(contract, (imageRef, port) => {
+      if (parseNodeImageRef(imageRef)) {
+        throw new ContractValidationError(
+          "INVALID_WORKFLOW_EDGE",
+          `${port} uses a node: ref, which is only valid inside workflow generate nodes`,
+          { port, received: imageRef }
+        );
+      }
+      return imageRef;
+    });
+    const inherited = Object.fromEntries(
+      WORKFLOW_INHERITED_FIELDS.filter((field) => input[field] !== undefined).map((field) => [
+        field,
+        input[field]
+      ])
+    );
+    contract.workflow = hasWorkflow ? validateWorkflow(input.workflow, { taskId, inherited }) : null;
+    contract.priority =
+      ensureSamplingParameter(input.priority, "priority", "INVALID_PRIORITY", {
+        min: MIN_TASK_PRIORITY,
+        max: MAX_TASK_PRIORITY,
+        integer: true
+      }) ?? 0;
+  }
+  return contract;
 }
 
 export function createStatusResponse(input) {
@@ -185,6 +783,20 @@ export function createStatusResponse(input) {
     typeof input.outputUrl === "string" && input.outputUrl.trim().length > 0
       ? input.outputUrl.trim()
       : null;
+  const outputs = Array.isArray(input.outputs)
+    ? input.outputs
+        .filter((item) => isRecord(item) && typeof item.url === "string" && item.url.trim().length > 0)
+        .map((item, index) => ({
+          index: Number.isInteger(item.index) ? item.index : index,
+          url: item.url.trim(),
+          mimeType: typeof item.mimeType === "string" ? item.mimeType : null
+        }))
+    : [];
+  const chosenOutputIndex =
+    Number.isInteger(input.chosenOutputIndex) &&
+    outputs.some((item) => item.index === input.chosenOutputIndex)
+      ? input.chosenOutputIndex
+      : null;
   const errorCode =
     typeof input.errorCode === "string" && input.errorCode.trim().length > 0
       ? input.errorCode.trim()
@@ -193,6 +805,10 @@ export function createStatusResponse(input) {
     typeof input.message === "string" && input.message.trim().length > 0
       ? input.message.trim()
       : null;
+  const modelText =
+    typeof input.modelText === "string" && input.modelText.trim().length > 0
+      ? input.modelText.trim()
+      : null;
 
   const warnings = Array.isArray(input.warnings)
     ? input.warnings.filter((item) => typeof item === "string" && item.trim().length > 0)
@@ -202,8 +818,11 @@ export function createStatusResponse(input) {
     taskId,
     status,
     outputUrl,
+    outputs,
+    chosenOutputIndex,
     errorCode,
     message,
+    modelText,
     warnings,
     updatedAt:
       typeof input.updatedAt === "string" && input.updatedAt.length > 0
@@ -222,6 +841,8 @@ export function extractPromptIndexing(prompt, sourceCount) {
 
   return {
     usesReference: /\[Reference\]/i.test(normalizedPrompt),
+    usesSkeleton: /\[Skeleton\]/i.test(normalizedPrompt),
+    usesSoul: /\[Soul\]/i.test(normalizedPrompt),
     sourceIndexes: [...new Set(sourceIndexes)],
     outOfRange: [...new Set(outOfRange)]
   };
@@ -255,3 +876,7 @@ export function serializeError(error) {
     message: String(error)
   };
 }
+
+for (const definition of BUILT_IN_FEATURE_TYPES) {
+  registerFeatureType(definition, { builtIn: true });
+}
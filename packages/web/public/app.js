@@ -1,12 +1,33 @@
+const apiKeyInput = document.querySelector("#api-key");
 const form = document.querySelector("#generation-form");
 const taskIdInput = document.querySelector("#task-id");
 const promptInput = document.querySelector("#prompt");
 const negativePromptInput = document.querySelector("#negative-prompt");
 const modelSelect = document.querySelector("#model-select");
+const aspectRatioSelect = document.querySelector("#aspect-ratio");
+const imageSizeSelect = document.querySelector("#image-size");
+const variantCountSelect = document.querySelector("#variant-count");
+const seedInput = document.querySelector("#seed");
+const temperatureInput = document.querySelector("#temperature");
+const topPInput = document.querySelector("#top-p");
 const referenceFileInput = document.querySelector("#reference-file");
 const referenceUploadPreview = document.querySelector("#reference-upload-preview");
 const referenceWeightInput = document.querySelector("#reference-weight");
 const referenceWeightText = document.querySelector("#reference-weight-text");
+const maskCanvas = document.querySelector("#mask-canvas");
+const maskToolbar = document.querySelector("#mask-toolbar");
+const maskToggleButton = document.querySelector("#mask-toggle");
+const maskTools = document.querySelector("#mask-tools");
+const maskBrushSizeInput = document.querySelector("#mask-brush-size");
+const maskBrushSizeText = document.querySelector("#mask-brush-size-text");
+const maskClearButton = document.querySelector("#mask-clear");
+const roleInputs = ["skeleton", "soul"].map((role) => ({
+  role,
+  fileInput: document.querySelector(`#${role}-file`),
+  uploadPreview: document.querySelector(`#${role}-upload-preview`),
+  weightInput: document.querySelector(`#${role}-weight`),
+  weightText: document.querySelector(`#${role}-weight-text`)
+}));
 const addSourceButton = document.querySelector("#add-source");
 const sourcesContainer = document.querySelector("#sources");
 const sourceTemplate = document.querySelector("#source-template");
@@ -16,10 +37,73 @@ const resultImage = document.querySelector("#result-image");
 const previewEmpty = document.querySelector("#preview-empty");
 const inputThumbnails = document.querySelector("#input-thumbnails");
 const inputThumbnailsList = document.querySelector("#input-thumbnails-list");
+const variantStrip = document.querySelector("#variant-strip");
+const variantStripList = document.querySelector("#variant-strip-list");
+const chooseVariantButton = document.querySelector("#choose-variant");
 const submitButton = document.querySelector("#submit-btn");
+const cancelButton = document.querySelector("#cancel-btn");
+const reproduceButton = document.querySelector("#reproduce-btn");
+const retryButton = document.querySelector("#retry-btn");
+const editButton = document.querySelector("#edit-btn");
+const referenceGroup = document.querySelector("#reference-group");
+const refineBanner = document.querySelector("#refine-banner");
+const refineBannerText = document.querySelector("#refine-banner-text");
+const refineExitButton = document.querySelector("#refine-exit");
+const cloneBanner = document.querySelector("#clone-banner");
+const cloneBannerText = document.querySelector("#clone-banner-text");
+const cloneExitButton = document.querySelector("#clone-exit");
+const batchFileInput = document.querySelector("#batch-file");
+const batchSubmitButton = document.querySelector("#batch-submit");
+const batchView = document.querySelector("#batch-view");
+const batchSummary = document.querySelector("#batch-summary");
+const batchDownload = document.querySelector("#batch-download");
+const batchProgressBar = document.querySelector("#batch-progress-bar");
+const batchGrid = document.querySelector("#batch-grid");
+const batchSheet = document.querySelector("#batch-sheet");
+const referenceSweepInput = document.querySelector("#reference-sweep");
+const sweepSubmitButton = document.querySelector("#sweep-submit");
+const sessionTimeline = document.querySelector("#session-timeline");
+const sessionTimelineList = document.querySelector("#session-timeline-list");
+const previewButton = document.querySelector("#preview-btn");
+const requestPreview = document.querySelector("#request-preview");
+const workflowRunView = document.querySelector("#workflow-run");
+const workflowRunList = document.querySelector("#workflow-run-list");
 
 let currentEventSource = null;
+let batchEventSource = null;
+let currentTaskId = null;
+let previewOutputIndex = null;
+let maskHasStrokes = false;
+let refineFrom = null;
+let cloneFrom = null;
+let sessionTasks = [];
+let streamThought = "";
+let maskLastPoint = null;
+const modelOptions = new Map();
+let featureTypes = [];
 const taskInputCache = new Map();
+const uploadedAssets = new WeakMap();
+const ERROR_DESCRIPTIONS = {
+  SAFETY_BLOCKED: "内容被模型的安全策略拦截，请调整提示词或素材后重试。",
+  RECITATION: "生成结果与受保护的内容过于相似，模型拒绝输出。",
+  NO_IMAGE_RETURNED: "模型没有返回图片，可能只给出了文字说明。",
+  RATE_LIMITED: "请求过于频繁，已达到限流上限，请稍后再试。",
+  QUOTA_EXCEEDED: "API 配额已用尽，请检查套餐与计费设置。",
+  INVALID_ARGUMENT: "请求参数不被模型接受。",
+  AUTH_FAILED: "API Key 无效或没有权限。",
+  MODEL_NOT_FOUND: "所选模型不存在或不可用。",
+  UPSTREAM_UNAVAILABLE: "上游服务暂时不可用，重试后仍未成功。",
+  MASK_DIMENSION_MISMATCH: "蒙版尺寸与参考图不一致，请重新绘制蒙版。",
+  TASK_CANCELLED: "任务已取消。"
+};
+const SAFETY_CATEGORY_LABELS = {
+  HARM_CATEGORY_HARASSMENT: "骚扰",
+  HARM_CATEGORY_HATE_SPEECH: "仇恨言论",
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: "色情内容",
+  HARM_CATEGORY_DANGEROUS_CONTENT: "危险内容",
+  HARM_CATEGORY_CIVIC_INTEGRITY: "公民诚信"
+};
+const TERMINAL_STATUSES = ["SUCCESS", "FAILED", "CANCELLED"];
 const DEFAULT_REFERENCE_WEIGHT = 0.85;
 const MIN_REFERENCE_WEIGHT = 0.05;
 let lastReferenceWeight = DEFAULT_REFERENCE_WEIGHT;
@@ -59,6 +143,56 @@ function updateReferenceWeightLabel() {
   referenceWeightText.textContent = weight.toFixed(2);
 }
 
+function fillOptionalSelect(select, values) {
+  const previous = select.value;
+  select.innerHTML = [
+    `<option value="">模型默认</option>`,
+    ...values.map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+  ].join("");
+  select.value = values.includes(previous) ? previous : "";
+  select.disabled = values.length === 0;
+}
+
+function refreshOutputOptions() {
+  const options = modelOptions.get(modelSelect.value);
+  fillOptionalSelect(aspectRatioSelect, options?.aspectRatios ?? []);
+  fillOptionalSelect(imageSizeSelect, options?.imageSizes ?? []);
+}
+
+async function loadModelOptions() {
+  try {
+    const response = await apiFetch("/api/models");
+    const payload = await response.json();
+    for (const model of payload.models ?? []) {
+      modelOptions.set(model.id, model);
+    }
+  } catch {
+    modelOptions.clear();
+  }
+  refreshOutputOptions();
+}
+
+async function loadFeatureTypes() {
+  try {
+    const response = await apiFetch("/api/feature-types");
+    const payload = await response.json();
+    featureTypes = Array.isArray(payload.featureTypes) ? payload.featureTypes : [];
+  } catch {
+    featureTypes = [];
+  }
+}
+
+function fillFeatureSelect(select) {
+  select.innerHTML = featureTypes
+    .map(
+      (item) =>
+        `<option value="${escapeHtml(item.id)}" title="${escapeHtml(item.hint)}">${escapeHtml(
+          `${item.id} · ${item.label.zh}`
+        )}</option>`
+    )
+    .join("");
+}
+
 function refreshSourceIndexes() {
   const sourceItems = [...sourcesContainer.querySelectorAll(".source-item")];
   sourceItems.forEach((item, index) => {
@@ -77,6 +211,8 @@ function addSource(defaults = {}) {
   const sourceUploadPreview = sourceItem.querySelector(".source-upload-preview");
   const removeButton = sourceItem.querySelector(".remove-source");
 
+  fillFeatureSelect(featureSelect);
+  sourceFileInput.required = !refineFrom;
   if (defaults.featureType) {
     featureSelect.value = defaults.featureType;
   }
@@ -89,6 +225,14 @@ function addSource(defaults = {}) {
     weightText.textContent = Number(weightInput.value).toFixed(2);
   });
 
+  featureSelect.addEventListener("change", () => {
+    const definition = featureTypes.find((item) => item.id === featureSelect.value);
+    if (definition) {
+      weightInput.value = definition.defaultWeight.toFixed(2);
+      weightText.textContent = definition.defaultWeight.toFixed(2);
+    }
+  });
+
   removeButton.addEventListener("click", () => {
     sourceItem.remove();
     refreshSourceIndexes();
@@ -102,15 +246,58 @@ function addSource(defaults = {}) {
   refreshSourceIndexes();
 }
 
-async function fileToDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onerror = () => reject(new Error(`读取文件失败: ${file.name}`));
-    reader.onload = () => resolve(String(reader.result));
-    reader.readAsDataURL(file);
+const API_KEY_STORAGE_KEY = "meie.apiKey";
+
+function apiFetch(url, options = {}) {
+  const apiKey = apiKeyInput.value.trim();
+  return fetch(url, {
+    ...options,
+    headers: apiKey ? { ...options.headers, authorization: `Bearer ${apiKey}` } : options.headers
   });
 }
 
+// EventSource, <img> and download links cannot send headers, so the key rides in the query string.
+function withAccessToken(url) {
+  const apiKey = apiKeyInput.value.trim();
+  if (!apiKey) {
+    return url;
+  }
+  return `${url}${url.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(apiKey)}`;
+}
+
+function uploadAsset(file) {
+  if (!uploadedAssets.has(file)) {
+    const upload = apiFetch("/api/assets", {
+      method: "POST",
+      headers: {
+        "content-type": file.type || "application/octet-stream",
+        "x-filename": encodeURIComponent(file.name)
+      },
+      body: file
+    }).then(async (response) => {
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload?.error?.message || `上传文件失败: ${file.name}`);
+      }
+      return payload;
+    });
+    uploadedAssets.set(file, upload);
+    upload.catch(() => uploadedAssets.delete(file));
+  }
+  return uploadedAssets.get(file);
+}
+
+async function fileToImageRef(file) {
+  return (await uploadAsset(file)).imageRef;
+}
+
+function imageRefToUrl(imageRef) {
+  if (imageRef.startsWith("asset:")) {
+    return withAccessToken(`/api/assets/${imageRef.slice("asset:".length)}/content`);
+  }
+  return imageRef.startsWith("/outputs/") ? withAccessToken(imageRef) : imageRef;
+}
+
 function updateFilePreview(fileInput, previewWrap) {
   const file = fileInput.files?.[0];
   const imageNode = previewWrap.querySelector("img");
@@ -127,14 +314,292 @@ function updateFilePreview(fileInput, previewWrap) {
   };
 }
 
+function resetMask() {
+  const imageNode = referenceUploadPreview.querySelector("img");
+  maskCanvas.width = imageNode.naturalWidth || 1;
+  maskCanvas.height = imageNode.naturalHeight || 1;
+  maskHasStrokes = false;
+  maskLastPoint = null;
+}
+
+function setMaskEditing(editing) {
+  referenceUploadPreview.classList.toggle("editing", editing);
+  maskCanvas.classList.toggle("hidden", !editing);
+  maskTools.classList.toggle("hidden", !editing);
+  maskToggleButton.textContent = editing ? "完成蒙版" : "编辑蒙版";
+}
+
+function toMaskPoint(event) {
+  const rect = maskCanvas.getBoundingClientRect();
+  const scale = maskCanvas.width / rect.width;
+  return {
+    x: (event.clientX - rect.left) * scale,
+    y: (event.clientY - rect.top) * scale,
+    scale
+  };
+}
+
+function paintMask(event) {
+  const point = toMaskPoint(event);
+  const from = maskLastPoint ?? point;
+  const context = maskCanvas.getContext("2d");
+  const erasing = form.querySelector('input[name="mask-tool"]:checked').value === "eraser";
+
+  context.globalCompositeOperation = erasing ? "destination-out" : "source-over";
+  context.strokeStyle = "#ef4444";
+  context.lineCap = "round";
+  context.lineJoin = "round";
+  context.lineWidth = Number(maskBrushSizeInput.value) * point.scale;
+  context.beginPath();
+  context.moveTo(from.x, from.y);
+  context.lineTo(point.x, point.y);
+  context.stroke();
+
+  maskLastPoint = point;
+  if (!erasing) {
+    maskHasStrokes = true;
+  }
+}
+
+function exportMaskDataUrl() {
+  const { width, height } = maskCanvas;
+  const strokes = document.createElement("canvas");
+  strokes.width = width;
+  strokes.height = height;
+  const strokesContext = strokes.getContext("2d");
+  strokesContext.drawImage(maskCanvas, 0, 0);
+  strokesContext.globalCompositeOperation = "source-in";
+  strokesContext.fillStyle = "#ffffff";
+  strokesContext.fillRect(0, 0, width, height);
+
+  const output = document.createElement("canvas");
+  output.width = width;
+  output.height = height;
+  const outputContext = output.getContext("2d");
+  outputContext.fillStyle = "#000000";
+  outputContext.fillRect(0, 0, width, height);
+  outputContext.drawImage(strokes, 0, 0);
+  return output.toDataURL("image/png");
+}
+
+function optionalNumber(input) {
+  const raw = input.value.trim();
+  return raw === "" ? undefined : Number(raw);
+}
+
+function setFileInputsRequired(required) {
+  referenceFileInput.required = required;
+  for (const input of sourcesContainer.querySelectorAll(".source-file")) {
+    input.required = required;
+  }
+}
+
+function enterRefineMode(task) {
+  if (cloneFrom) {
+    exitCloneMode();
+  }
+  refineFrom = { taskId: task.taskId, outputUrl: task.outputUrl };
+  refineBannerText.textContent = `基于 ${task.taskId} 的结果继续编辑`;
+  refineBanner.classList.remove("hidden");
+  referenceGroup.classList.add("hidden");
+  setFileInputsRequired(false);
+  promptInput.value = "";
+  promptInput.placeholder = "描述要做的修改，例如：把夹克颜色调深一些";
+  promptInput.focus();
+  renderSessionTimeline();
+}
+
+function exitRefineMode() {
+  refineFrom = null;
+  refineBanner.classList.add("hidden");
+  referenceGroup.classList.remove("hidden");
+  setFileInputsRequired(true);
+  promptInput.placeholder = "";
+  renderSessionTimeline();
+}
+
+function enterCloneMode(task) {
+  if (refineFrom) {
+    exitRefineMode();
+  }
+  const summary = task.contractSummary;
+  cloneFrom = { taskId: task.taskId, summary };
+  cloneBannerText.textContent = `修改 ${task.taskId} 的参数后重新提交，沿用原任务的全部图片`;
+  cloneBanner.classList.remove("hidden");
+  form.classList.add("clone-mode");
+  setFileInputsRequired(false);
+
+  promptInput.value = summary.prompt;
+  negativePromptInput.value = summary.negativePrompt;
+  modelSelect.value = summary.model;
+  refreshOutputOptions();
+  aspectRatioSelect.value = summary.aspectRatio ?? "";
+  imageSizeSelect.value = summary.imageSize ?? "";
+  variantCountSelect.value = String(summary.variantCount);
+  seedInput.value = summary.seed ?? "";
+  temperatureInput.value = summary.temperature ?? "";
+  topPInput.value = summary.topP ?? "";
+  if (summary.reference) {
+    referenceWeightInput.value = String(summary.reference.weight);
+    updateReferenceWeightLabel();
+  }
+  for (const { role, weightInput, weightText } of roleInputs) {
+    if (summary[role]) {
+      weightInput.value = String(summary[role].weight);
+      weightText.textContent = summary[role].weight.toFixed(2);
+    }
+  }
+  promptInput.focus();
+}
+
+function exitCloneMode() {
+  cloneFrom = null;
+  cloneBanner.classList.add("hidden");
+  form.classList.remove("clone-mode");
+  setFileInputsRequired(true);
+}
+
+function buildClonePatchFromForm() {
+  const { summary } = cloneFrom;
+  const patch = {
+    taskId: taskIdInput.value.trim(),
+    model: modelSelect.value,
+    variantCount: Number(variantCountSelect.value),
+    seed: optionalNumber(seedInput) ?? null,
+    temperature: optionalNumber(temperatureInput) ?? null,
+    topP: optionalNumber(topPInput) ?? null,
+    aspectRatio: aspectRatioSelect.value || null,
+    imageSize: imageSizeSelect.value || null,
+    prompt: promptInput.value.trim(),
+    negativePrompt: negativePromptInput.value.trim()
+  };
+  if (summary.reference) {
+    patch.reference = { weight: getReferenceWeight() };
+  }
+  for (const { role, weightInput } of roleInputs) {
+    if (summary[role]) {
+      patch[role] = { weight: Number(weightInput.value) };
+    }
+  }
+  return patch;
+}
+
+function orderSessionTasks(items) {
+  const children = new Map();
+  for (const item of items) {
+    const siblings = children.get(item.parentTaskId) ?? [];
+    siblings.push(item);
+    children.set(item.parentTaskId, siblings);
+  }
+
+  const ordered = [];
+  const visit = (parentTaskId, depth) => {
+    for (const item of children.get(parentTaskId) ?? []) {
+      ordered.push({ ...item, depth });
+      visit(item.taskId, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return ordered;
+}
+
+function renderSessionTimeline() {
+  if (sessionTasks.length < 2 && !refineFrom) {
+    sessionTimeline.classList.add("hidden");
+    sessionTimelineList.innerHTML = "";
+    return;
+  }
+
+  sessionTimelineList.innerHTML = orderSessionTasks(sessionTasks)
+    .map((item, index) => {
+      const classes = ["timeline-item"];
+      if (item.taskId === currentTaskId) {
+        classes.push("current");
+      }
+      if (item.taskId === refineFrom?.taskId) {
+        classes.push("refining");
+      }
+      const thumbnail = item.outputUrl
+        ? `<img src="${escapeHtml(withAccessToken(item.outputUrl))}" alt="${escapeHtml(item.taskId)}" />`
+        : `<span class="timeline-placeholder">${escapeHtml(item.status)}</span>`;
+      const action =
+        item.status === "SUCCESS"
+          ? `<button type="button" class="ghost" data-action="refine">从这里继续</button>`
+          : "";
+      return `
+      <li class="${classes.join(" ")}" data-task-id="${escapeHtml(item.taskId)}" style="--depth: ${item.depth}">
+        ${thumbnail}
+        <div class="timeline-meta">
+          <strong>v${index + 1}</strong> · ${escapeHtml(item.status)}
+          <p>${escapeHtml(item.prompt.length > 60 ? `${item.prompt.slice(0, 60)}…` : item.prompt)}</p>
+        </div>
+        ${action}
+      </li>
+    `;
+    })
+    .join("");
+  sessionTimeline.classList.remove("hidden");
+}
+
+async function loadSessionTimeline(sessionId) {
+  try {
+    const response = await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
+    if (!response.ok) {
+      return;
+    }
+    const payload = await response.json();
+    sessionTasks = payload.tasks;
+    renderSessionTimeline();
+  } catch {
+    // The timeline is supplementary; the task status view already shows the result.
+  }
+}
+
+function selectedSourceItems() {
+  return [...sourcesContainer.querySelectorAll(".source-item")].filter(
+    (item) => !refineFrom || item.querySelector(".source-file").files?.[0]
+  );
+}
+
+function parseSweepSpec(raw, label) {
+  const text = raw.trim();
+  if (!text) {
+    return null;
+  }
+  const range = text.match(/^([\d.]+)\s*-\s*([\d.]+)\s*:\s*([\d.]+)$/);
+  if (range) {
+    return { from: Number(range[1]), to: Number(range[2]), step: Number(range[3]) };
+  }
+  const values = text.split(/[,/\s]+/).filter(Boolean).map(Number);
+  if (values.length === 0 || values.some((value) => !Number.isFinite(value))) {
+    throw new Error(`${label} 扫参格式不正确，应为 0.5,0.8 或 0.4-0.8:0.2`);
+  }
+  return values;
+}
+
+function collectSweepFromForm() {
+  const sweep = {};
+  const referenceSpec = parseSweepSpec(referenceSweepInput.value, "REFERENCE");
+  if (referenceSpec) {
+    sweep["reference.weight"] = referenceSpec;
+  }
+  selectedSourceItems().forEach((item, index) => {
+    const spec = parseSweepSpec(item.querySelector(".source-sweep").value, `Source ${index}`);
+    if (spec) {
+      sweep[`sources.${index}.weight`] = spec;
+    }
+  });
+  return sweep;
+}
+
 async function buildContractFromForm() {
   const referenceFile = referenceFileInput.files?.[0];
-  if (!referenceFile) {
+  if (!referenceFile && !refineFrom) {
     throw new Error("请上传 REFERENCE 参考图");
   }
 
-  const sourceItems = [...sourcesContainer.querySelectorAll(".source-item")];
-  if (sourceItems.length === 0) {
+  const sourceItems = selectedSourceItems();
+  if (sourceItems.length === 0 && !refineFrom) {
     throw new Error("请至少添加一个 SOURCE");
   }
 
@@ -143,6 +608,7 @@ async function buildContractFromForm() {
     const fileInput = item.querySelector(".source-file");
     const featureSelect = item.querySelector(".source-feature");
     const weightInput = item.querySelector(".source-weight");
+    const noteInput = item.querySelector(".source-note");
     const file = fileInput.files?.[0];
 
     if (!file) {
@@ -150,21 +616,46 @@ async function buildContractFromForm() {
     }
 
     sources.push({
-      imageRef: await fileToDataUrl(file),
+      imageRef: await fileToImageRef(file),
       featureType: featureSelect.value,
-      weight: Number(weightInput.value)
+      weight: Number(weightInput.value),
+      note: noteInput.value.trim() || undefined
     });
   }
 
+  const roleImages = {};
+  for (const { role, fileInput, weightInput } of roleInputs) {
+    const file = fileInput.files?.[0];
+    if (file) {
+      roleImages[role] = {
+        imageRef: await fileToImageRef(file),
+        weight: Number(weightInput.value)
+      };
+    }
+  }
+
   return {
     taskId: taskIdInput.value.trim(),
     model: modelSelect.value,
+    variantCount: Number(variantCountSelect.value),
+    seed: optionalNumber(seedInput),
+    temperature: optionalNumber(temperatureInput),
+    topP: optionalNumber(topPInput),
+    aspectRatio: aspectRatioSelect.value || undefined,
+    imageSize: imageSizeSelect.value || undefined,
     prompt: promptInput.value.trim(),
     negativePrompt: negativePromptInput.value.trim(),
-    reference: {
-      imageRef: await fileToDataUrl(referenceFile),
-      weight: getReferenceWeight()
-    },
+    reference: refineFrom
+      ? {
+          imageRef: `task:${refineFrom.taskId}`,
+          weight: getReferenceWeight()
+        }
+      : {
+          imageRef: await fileToImageRef(referenceFile),
+          weight: getReferenceWeight(),
+          maskRef: maskHasStrokes ? exportMaskDataUrl() : undefined
+        },
+    ...roleImages,
     sources
   };
 }
@@ -200,6 +691,13 @@ function renderInputThumbnails(taskId) {
       extra: `weight ${Number(input.reference.weight).toFixed(2)}`,
       imageRef: input.reference.imageRef
     },
+    ...["skeleton", "soul"]
+      .filter((role) => input[role])
+      .map((role) => ({
+        label: role.toUpperCase(),
+        extra: `weight ${Number(input[role].weight).toFixed(2)}`,
+        imageRef: input[role].imageRef
+      })),
     ...input.sources.map((source, index) => ({
       label: `SOURCE ${index}`,
       extra: `${source.featureType} · ${Number(source.weight).toFixed(2)}`,
@@ -211,7 +709,7 @@ function renderInputThumbnails(taskId) {
     .map(
       (item) => `
       <article class="thumb-item">
-        <img src="${item.imageRef}" alt="${escapeHtml(item.label)}" />
+        <img src="${escapeHtml(imageRefToUrl(item.imageRef))}" alt="${escapeHtml(item.label)}" />
         <div class="thumb-meta">${escapeHtml(item.label)}<br/>${escapeHtml(item.extra)}</div>
       </article>
     `
@@ -234,17 +732,58 @@ function setPreviewState(state, imageUrl = "") {
   previewEmpty.classList.remove("hidden");
 }
 
+function hideVariantStrip() {
+  variantStrip.classList.add("hidden");
+  variantStripList.innerHTML = "";
+  previewOutputIndex = null;
+}
+
+function renderVariantStrip(task) {
+  if (!Array.isArray(task.outputs) || task.outputs.length < 2) {
+    hideVariantStrip();
+    return;
+  }
+
+  if (!task.outputs.some((output) => output.index === previewOutputIndex)) {
+    previewOutputIndex = task.chosenOutputIndex ?? task.outputs[0].index;
+  }
+
+  variantStripList.innerHTML = task.outputs
+    .map((output) => {
+      const classes = ["variant-item"];
+      if (output.index === previewOutputIndex) {
+        classes.push("previewing");
+      }
+      if (output.index === task.chosenOutputIndex) {
+        classes.push("chosen");
+      }
+      return `
+      <button type="button" class="${classes.join(" ")}" data-index="${output.index}">
+        <img src="${escapeHtml(withAccessToken(output.url))}" alt="候选 ${output.index}" />
+      </button>
+    `;
+    })
+    .join("");
+
+  chooseVariantButton.disabled = previewOutputIndex === task.chosenOutputIndex;
+  variantStrip.classList.remove("hidden");
+
+  const previewing = task.outputs.find((output) => output.index === previewOutputIndex);
+  setPreviewState("image", withAccessToken(previewing.url));
+}
+
 function updateStatusSteps(status) {
-  const order = ["QUEUED", "PROCESSING", "SUCCESS", "FAILED"];
+  const order = ["QUEUED", "PROCESSING", "SUCCESS", "FAILED", "CANCELLED"];
+  const endStates = ["SUCCESS", "FAILED", "CANCELLED"];
   const current = order.indexOf(status);
 
   statusSteps.forEach((item, index) => {
     item.classList.remove("active", "done", "error");
-    if (status === "FAILED" && item.dataset.status === "FAILED") {
+    if ((status === "FAILED" || status === "CANCELLED") && item.dataset.status === status) {
       item.classList.add("active", "error");
       return;
     }
-    if (index < current) {
+    if (index < current && !endStates.includes(item.dataset.status)) {
       item.classList.add("done");
     } else if (index === current) {
       item.classList.add("active");
@@ -252,18 +791,150 @@ function updateStatusSteps(status) {
   });
 }
 
+function updateCancelButton(status) {
+  const cancellable = status === "QUEUED" || status === "PROCESSING";
+  cancelButton.classList.toggle("hidden", !cancellable);
+  cancelButton.disabled = false;
+}
+
+function updateReproduceButton(task) {
+  reproduceButton.classList.toggle("hidden", !task.fingerprint);
+  reproduceButton.disabled = false;
+}
+
+function updateRetryButtons(task) {
+  retryButton.classList.toggle("hidden", task.status !== "FAILED" && task.status !== "CANCELLED");
+  retryButton.disabled = false;
+  const editable =
+    TERMINAL_STATUSES.includes(task.status) && task.contractSummary && !task.contractSummary.workflowNodes;
+  editButton.classList.toggle("hidden", !editable);
+  editButton.dataset.taskId = task.taskId;
+}
+
+function describeTaskError(task) {
+  const details = task.errorDetails ?? {};
+  const lines = [ERROR_DESCRIPTIONS[task.errorCode] ?? task.message ?? "任务失败。"];
+
+  const reasons = [details.blockReason, ...(details.finishReasons ?? [])].filter(Boolean);
+  if (reasons.length > 0) {
+    lines.push(`原因：${reasons.join(", ")}`);
+  }
+
+  const categories = (details.safetyRatings ?? []).map(
+    (rating) => SAFETY_CATEGORY_LABELS[rating.category] ?? rating.category
+  );
+  if (categories.length > 0) {
+    lines.push(`涉及类别：${[...new Set(categories)].join("、")}`);
+  }
+
+  const explanation = details.explanation ?? details.finishMessage;
+  if (explanation) {
+    lines.push("", `模型说明：${explanation}`);
+  }
+
+  lines.push("", `错误码：${task.errorCode ?? "UNKNOWN"}`);
+  if (task.message && ERROR_DESCRIPTIONS[task.errorCode]) {
+    lines.push(`详细信息：${task.message}`);
+  }
+  return lines.join("\n");
+}
+
+function describeStreamProgress(progress) {
+  if (progress.event === "thought" || progress.event === "text") {
+    streamThought = progress.text;
+  }
+  const lines = [`正在接收模型输出：${(progress.bytesReceived / 1024).toFixed(1)} KB`];
+  if (progress.event === "image") {
+    lines.push(`已收到图片（${(progress.imageBytes / 1024).toFixed(1)} KB），正在落盘…`);
+  }
+  if (streamThought) {
+    lines.push(`模型思考：${streamThought}`);
+  }
+  return lines.join("\n");
+}
+
+function describeQueuePosition(task) {
+  const lines = [`排队中：前方还有 ${task.queuePosition - 1} 个任务`];
+  if (task.estimatedWaitMs !== null) {
+    lines.push(`预计等待约 ${Math.ceil(task.estimatedWaitMs / 1000)} 秒`);
+  }
+  return lines.join("，");
+}
+
+const WORKFLOW_NODE_TYPE_LABELS = {
+  load_image: "载入图片",
+  generate: "生成",
+  select: "挑选候选"
+};
+
+function renderWorkflowRun(run) {
+  if (!run || run.nodes.length < 2) {
+    workflowRunView.classList.add("hidden");
+    workflowRunList.innerHTML = "";
+    return;
+  }
+
+  workflowRunList.innerHTML = run.nodes
+    .map((node) => {
+      const timing = node.durationMs === null ? "" : ` · ${(node.durationMs / 1000).toFixed(1)}s`;
+      const inputs = node.dependsOn.length > 0 ? `← ${node.dependsOn.join(", ")}` : "";
+      const error = node.errorCode ? ` · ${node.errorCode}` : "";
+      return `
+      <li class="workflow-node status-${node.status.toLowerCase()}${node.id === run.output ? " output" : ""}">
+        <strong>${escapeHtml(node.id)}</strong>
+        <span>${escapeHtml(WORKFLOW_NODE_TYPE_LABELS[node.type] ?? node.type)} · ${escapeHtml(node.status)}${timing}${escapeHtml(error)}</span>
+        <small>${escapeHtml(inputs)}</small>
+      </li>
+    `;
+    })
+    .join("");
+  workflowRunView.classList.remove("hidden");
+}
+
 function renderTaskStatus(task) {
   updateStatusSteps(task.status);
-  statusDetails.textContent = formatJson(task);
+  updateCancelButton(task.status);
+  updateReproduceButton(task);
+  updateRetryButtons(task);
+  renderWorkflowRun(task.workflowRun);
+  if (task.status !== "PROCESSING") {
+    streamThought = "";
+  }
+  if (task.status === "FAILED") {
+    statusDetails.textContent = describeTaskError(task);
+  } else if (task.status === "QUEUED" && task.queuePosition) {
+    statusDetails.textContent = `${describeQueuePosition(task)}\n\n${formatJson(task)}`;
+  } else if (task.status === "PROCESSING" && task.progress?.stage === "STREAMING") {
+    statusDetails.textContent = `${describeStreamProgress(task.progress)}\n\n${formatJson(task)}`;
+  } else if (task.modelText) {
+    statusDetails.textContent = `模型说明：${task.modelText}\n\n${formatJson(task)}`;
+  } else {
+    statusDetails.textContent = formatJson(task);
+  }
+
+  if (task.sessionId && TERMINAL_STATUSES.includes(task.status)) {
+    void loadSessionTimeline(task.sessionId);
+  }
+  if (
+    task.status === "SUCCESS" &&
+    task.taskId === currentTaskId &&
+    refineFrom &&
+    task.parentTaskId === refineFrom.taskId
+  ) {
+    enterRefineMode(task);
+  }
 
   if (task.status === "SUCCESS" && task.outputUrl) {
-    const url = `${task.outputUrl}?t=${Date.now()}`;
+    const url = withAccessToken(`${task.outputUrl}?t=${Date.now()}`);
     setPreviewState("image", url);
+    renderVariantStrip(task);
     renderInputThumbnails(task.taskId);
     return;
   }
 
-  if (task.status === "FAILED") {
+  hideVariantStrip();
+
+  if (task.status === "FAILED" || task.status === "CANCELLED") {
     hideInputThumbnails();
   }
 
@@ -279,13 +950,17 @@ function closeEventSource() {
 
 function openEventStream(taskId) {
   closeEventSource();
-  const stream = new EventSource(`/api/tasks/${encodeURIComponent(taskId)}/events`);
+  const stream = new EventSource(withAccessToken(`/api/tasks/${encodeURIComponent(taskId)}/events`));
   currentEventSource = stream;
 
   stream.addEventListener("status", (event) => {
     const payload = JSON.parse(event.data);
     renderTaskStatus(payload);
-    if (payload.status === "SUCCESS" || payload.status === "FAILED") {
+    if (
+      payload.status === "SUCCESS" ||
+      payload.status === "FAILED" ||
+      payload.status === "CANCELLED"
+    ) {
       stream.close();
       currentEventSource = null;
     }
@@ -298,16 +973,317 @@ function openEventStream(taskId) {
   };
 }
 
+async function chooseVariant() {
+  if (!currentTaskId || previewOutputIndex === null) {
+    return;
+  }
+
+  chooseVariantButton.disabled = true;
+  try {
+    const response = await apiFetch(`/api/tasks/${encodeURIComponent(currentTaskId)}/choose`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json"
+      },
+      body: JSON.stringify({ index: previewOutputIndex })
+    });
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "选定结果失败");
+    }
+    renderTaskStatus(payload);
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+    chooseVariantButton.disabled = false;
+  }
+}
+
+async function cancelCurrentTask() {
+  if (!currentTaskId) {
+    return;
+  }
+
+  cancelButton.disabled = true;
+  try {
+    const response = await apiFetch(`/api/tasks/${encodeURIComponent(currentTaskId)}`, {
+      method: "DELETE"
+    });
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "取消任务失败");
+    }
+    closeEventSource();
+    renderTaskStatus(payload);
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+    cancelButton.disabled = false;
+  }
+}
+
+async function reproduceCurrentTask() {
+  if (!currentTaskId) {
+    return;
+  }
+
+  reproduceButton.disabled = true;
+  try {
+    const response = await apiFetch(
+      `/api/tasks/${encodeURIComponent(currentTaskId)}/reproduce`,
+      { method: "POST" }
+    );
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "复现任务失败");
+    }
+    if (taskInputCache.has(currentTaskId)) {
+      taskInputCache.set(payload.taskId, taskInputCache.get(currentTaskId));
+    }
+    currentTaskId = payload.taskId;
+    setPreviewState("empty");
+    hideVariantStrip();
+    renderTaskStatus(payload);
+    openEventStream(payload.taskId);
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+    reproduceButton.disabled = false;
+  }
+}
+
+async function retryCurrentTask() {
+  if (!currentTaskId) {
+    return;
+  }
+
+  retryButton.disabled = true;
+  try {
+    const response = await apiFetch(`/api/tasks/${encodeURIComponent(currentTaskId)}/retry`, {
+      method: "POST"
+    });
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "重试任务失败");
+    }
+    setPreviewState("empty");
+    hideVariantStrip();
+    renderTaskStatus(payload);
+    openEventStream(payload.taskId);
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+    retryButton.disabled = false;
+  }
+}
+
+async function editCurrentTask() {
+  try {
+    const response = await apiFetch(`/api/tasks/${encodeURIComponent(editButton.dataset.taskId)}`);
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "读取任务失败");
+    }
+    enterCloneMode(payload);
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+  }
+}
+
+function renderBatch(batch) {
+  const { counts } = batch;
+  batchSummary.textContent = `${batch.batchId} · ${batch.status} · 成功 ${counts.SUCCESS} / 失败 ${counts.FAILED} / 取消 ${counts.CANCELLED} / 共 ${batch.total}`;
+  batchProgressBar.style.width = `${Math.round(batch.progress * 100)}%`;
+  batchDownload.href = withAccessToken(batch.downloadUrl);
+  batchDownload.classList.toggle("disabled", counts.SUCCESS === 0);
+
+  batchGrid.classList.toggle("hidden", Boolean(batch.sweep));
+  batchSheet.classList.toggle("hidden", !batch.sweep);
+  if (batch.sweep) {
+    renderContactSheet(batch);
+    batchView.classList.remove("hidden");
+    return;
+  }
+
+  batchGrid.innerHTML = batch.items.map(renderBatchCell).join("");
+  batchView.classList.remove("hidden");
+}
+
+function renderBatchCell(item) {
+  const content = item.outputUrl
+    ? `<img src="${escapeHtml(withAccessToken(item.outputUrl))}" alt="${escapeHtml(item.taskId)}" />`
+    : `<span>${escapeHtml(item.status)}</span>`;
+  return `
+    <button type="button" class="batch-cell status-${item.status.toLowerCase()}" data-task-id="${escapeHtml(item.taskId)}" title="${escapeHtml(item.taskId)}">
+      ${content}
+    </button>
+  `;
+}
+
+function renderContactSheet(batch) {
+  const { axes } = batch.sweep;
+  const columnAxis = axes.at(-1);
+  const rowAxes = axes.slice(0, -1);
+  const columnCount = columnAxis.values.length;
+  const rows = [];
+  for (let start = 0; start < batch.items.length; start += columnCount) {
+    rows.push(batch.items.slice(start, start + columnCount));
+  }
+
+  const head = `
+    <tr>
+      <th>${escapeHtml(
+        [rowAxes.map((axis) => axis.label).join(" / "), columnAxis.label]
+          .filter(Boolean)
+          .join(" ↓ · ")
+      )} →</th>
+      ${columnAxis.values.map((value) => `<th>${value.toFixed(2)}</th>`).join("")}
+    </tr>
+  `;
+  const body = rows
+    .map((cells) => {
+      const values = cells[0].sweepValues.slice(0, -1);
+      const label = rowAxes
+        .map((axis, index) => `${escapeHtml(axis.label)} ${values[index].toFixed(2)}`)
+        .join("<br />");
+      return `<tr><th>${label || "—"}</th>${cells.map((item) => `<td>${renderBatchCell(item)}</td>`).join("")}</tr>`;
+    })
+    .join("");
+  batchSheet.innerHTML = `<table>${head}${body}</table>`;
+}
+
+function openBatchStream(batchId) {
+  batchEventSource?.close();
+  const stream = new EventSource(withAccessToken(`/api/batches/${encodeURIComponent(batchId)}/events`));
+  batchEventSource = stream;
+  stream.addEventListener("batch", (event) => {
+    const payload = JSON.parse(event.data);
+    renderBatch(payload);
+    if (payload.status === "COMPLETED") {
+      stream.close();
+      batchEventSource = null;
+    }
+  });
+  stream.onerror = () => {
+    stream.close();
+    batchEventSource = null;
+  };
+}
+
+async function postBatch(body) {
+  const base = await buildContractFromForm();
+  delete base.taskId;
+  const response = await apiFetch("/api/batches", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json"
+    },
+    body: JSON.stringify({ base, ...body })
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload?.error?.message || "创建批量任务失败");
+  }
+  renderBatch(payload);
+  openBatchStream(payload.batchId);
+}
+
+async function submitSweep() {
+  sweepSubmitButton.disabled = true;
+  try {
+    const sweep = collectSweepFromForm();
+    if (Object.keys(sweep).length === 0) {
+      throw new Error("请至少为 REFERENCE 或一个 Source 填写扫参取值");
+    }
+    await postBatch({ sweep });
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+  } finally {
+    sweepSubmitButton.disabled = false;
+  }
+}
+
+async function submitBatch() {
+  const file = batchFileInput.files?.[0];
+  if (!file) {
+    statusDetails.textContent = "请先选择 JSONL 或 CSV 覆盖项文件";
+    return;
+  }
+
+  batchSubmitButton.disabled = true;
+  try {
+    const text = await file.text();
+    if (/\.csv$/i.test(file.name)) {
+      await postBatch({ csv: text });
+    } else if (/\.json$/i.test(file.name)) {
+      await postBatch({ items: JSON.parse(text) });
+    } else {
+      await postBatch({ jsonl: text });
+    }
+  } catch (error) {
+    statusDetails.textContent = error instanceof Error ? error.message : String(error);
+  } finally {
+    batchSubmitButton.disabled = false;
+  }
+}
+
+async function showBatchTask(taskId) {
+  const response = await apiFetch(`/api/tasks/${encodeURIComponent(taskId)}`);
+  if (!response.ok) {
+    return;
+  }
+  closeEventSource();
+  currentTaskId = taskId;
+  const task = await response.json();
+  renderTaskStatus(task);
+  if (!TERMINAL_STATUSES.includes(task.status)) {
+    openEventStream(taskId);
+  }
+}
+
+async function previewRequest() {
+  if (!form.reportValidity()) {
+    return;
+  }
+  previewButton.disabled = true;
+  try {
+    const contract = await buildContractFromForm();
+    delete contract.taskId;
+    const response = await apiFetch("/api/tasks/preview", {
+      method: "POST",
+      headers: {
+        "content-type": "application/json"
+      },
+      body: JSON.stringify(contract)
+    });
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || "预览请求失败");
+    }
+    const warnings = payload.warnings.map((warning) => `⚠ ${warning}`).join("\n");
+    requestPreview.textContent = `${warnings ? `${warnings}\n\n` : ""}${formatJson(payload.requests)}`;
+  } catch (error) {
+    requestPreview.textContent = error instanceof Error ? error.message : String(error);
+  } finally {
+    requestPreview.classList.remove("hidden");
+    previewButton.disabled = false;
+  }
+}
+
 async function submitTask(event) {
   event.preventDefault();
   setPreviewState("empty");
   hideInputThumbnails();
+  hideVariantStrip();
+  if (!refineFrom) {
+    sessionTasks = [];
+    renderSessionTimeline();
+  }
   setBusyState(true);
 
   try {
     taskIdInput.value = createTaskId();
-    const contract = await buildContractFromForm();
-    const response = await fetch("/api/tasks", {
+    const contract = cloneFrom ? buildClonePatchFromForm() : await buildContractFromForm();
+    const endpoint = cloneFrom
+      ? `/api/tasks/${encodeURIComponent(cloneFrom.taskId)}/clone`
+      : "/api/tasks";
+    const response = await apiFetch(endpoint, {
       method: "POST",
       headers: {
         "content-type": "application/json"
@@ -320,11 +1296,23 @@ async function submitTask(event) {
       throw new Error(payload?.error?.message || "创建任务失败");
     }
 
-    taskInputCache.set(contract.taskId, {
-      reference: contract.reference,
-      sources: contract.sources
-    });
+    if (cloneFrom) {
+      if (taskInputCache.has(cloneFrom.taskId)) {
+        taskInputCache.set(contract.taskId, taskInputCache.get(cloneFrom.taskId));
+      }
+      exitCloneMode();
+    } else {
+      taskInputCache.set(contract.taskId, {
+        reference: refineFrom
+          ? { ...contract.reference, imageRef: refineFrom.outputUrl }
+          : contract.reference,
+        skeleton: contract.skeleton,
+        soul: contract.soul,
+        sources: contract.sources
+      });
+    }
 
+    currentTaskId = contract.taskId;
     renderTaskStatus(payload);
     openEventStream(contract.taskId);
   } catch (error) {
@@ -349,8 +1337,92 @@ referenceWeightInput.addEventListener(
 );
 addSourceButton.addEventListener("click", () => addSource({ weight: 0.7 }));
 form.addEventListener("submit", submitTask);
+previewButton.addEventListener("click", previewRequest);
+modelSelect.addEventListener("change", refreshOutputOptions);
+cancelButton.addEventListener("click", cancelCurrentTask);
+reproduceButton.addEventListener("click", reproduceCurrentTask);
+retryButton.addEventListener("click", retryCurrentTask);
+editButton.addEventListener("click", editCurrentTask);
+chooseVariantButton.addEventListener("click", chooseVariant);
+variantStripList.addEventListener("click", (event) => {
+  const item = event.target.closest(".variant-item");
+  if (!item) {
+    return;
+  }
+  previewOutputIndex = Number(item.dataset.index);
+  for (const node of variantStripList.querySelectorAll(".variant-item")) {
+    node.classList.toggle("previewing", node === item);
+  }
+  chooseVariantButton.disabled = item.classList.contains("chosen");
+  setPreviewState("image", item.querySelector("img").src);
+});
+refineExitButton.addEventListener("click", exitRefineMode);
+cloneExitButton.addEventListener("click", exitCloneMode);
+batchSubmitButton.addEventListener("click", submitBatch);
+sweepSubmitButton.addEventListener("click", submitSweep);
+batchView.addEventListener("click", (event) => {
+  const cell = event.target.closest(".batch-cell");
+  if (cell) {
+    void showBatchTask(cell.dataset.taskId);
+  }
+});
+sessionTimelineList.addEventListener("click", (event) => {
+  const item = event.target.closest(".timeline-item");
+  const task = sessionTasks.find((entry) => entry.taskId === item?.dataset.taskId);
+  if (!task) {
+    return;
+  }
+  if (event.target.closest('[data-action="refine"]')) {
+    enterRefineMode(task);
+    return;
+  }
+  if (task.outputUrl) {
+    setPreviewState("image", withAccessToken(task.outputUrl));
+  }
+});
 referenceFileInput.addEventListener("change", () => {
   updateFilePreview(referenceFileInput, referenceUploadPreview);
+  setMaskEditing(false);
+  maskToolbar.classList.toggle("hidden", !referenceFileInput.files?.[0]);
+});
+referenceUploadPreview.querySelector("img").addEventListener("load", resetMask);
+maskToggleButton.addEventListener("click", () => {
+  setMaskEditing(!referenceUploadPreview.classList.contains("editing"));
+});
+maskClearButton.addEventListener("click", resetMask);
+maskBrushSizeInput.addEventListener("input", () => {
+  maskBrushSizeText.textContent = maskBrushSizeInput.value;
+});
+maskCanvas.addEventListener("pointerdown", (event) => {
+  maskCanvas.setPointerCapture(event.pointerId);
+  maskLastPoint = null;
+  paintMask(event);
+});
+maskCanvas.addEventListener("pointermove", (event) => {
+  if (maskCanvas.hasPointerCapture(event.pointerId)) {
+    paintMask(event);
+  }
+});
+maskCanvas.addEventListener("pointerup", () => {
+  maskLastPoint = null;
+});
+for (const { fileInput, uploadPreview, weightInput, weightText } of roleInputs) {
+  fileInput.addEventListener("change", () => {
+    updateFilePreview(fileInput, uploadPreview);
+  });
+  weightInput.addEventListener("input", () => {
+    weightText.textContent = Number(weightInput.value).toFixed(2);
+  });
+}
+
+apiKeyInput.value = localStorage.getItem(API_KEY_STORAGE_KEY) ?? "";
+apiKeyInput.addEventListener("change", () => {
+  const apiKey = apiKeyInput.value.trim();
+  if (apiKey) {
+    localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
 });
 
 taskIdInput.value = createTaskId();
@@ -363,15 +1435,19 @@ promptInput.value = [
 negativePromptInput.value =
   "low quality, blurry, out of focus, artifact, bad anatomy, deformed structure, distorted limbs, inconsistent perspective, incorrect lighting, unrealistic shadows, ghosting, duplicate objects, watermark, text, logo";
 modelSelect.value = "gemini-3-pro-image-preview";
+void loadModelOptions();
 referenceWeightInput.value = DEFAULT_REFERENCE_WEIGHT.toFixed(2);
 referenceWeightInput.min = MIN_REFERENCE_WEIGHT.toFixed(2);
 updateReferenceWeightLabel();
+await loadFeatureTypes();
 addSource({ featureType: "STYLE", weight: 0.72 });
 addSource({ featureType: "COMPONENT", weight: 0.66 });
 
 window.addEventListener("beforeunload", () => {
   closeEventSource();
+  batchEventSource?.close();
 });
 
 setPreviewState("empty");
 hideInputThumbnails();
+hideVariantStrip();
@@ -1,10 +1,43 @@
 import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
 
 import {
+  BUILT_IN_FEATURE_TYPES,
   createStatusResponse,
+  getFeatureType,
+  registerFeatureType,
   validateGenerationContract
 } from "../packages/shared/src/index.js";
-import { runDualTrackGeneration } from "../packages/engine/src/index.js";
+import {
+  buildPartLayout,
+  getProvider,
+  parsePriceOverrides,
+  registerProvider,
+  previewWorkflow,
+  readImageDimensions,
+  resolvePriceTable,
+  resolveProvider,
+  runDualTrackGeneration,
+  runWorkflow
+} from "../packages/engine/src/index.js";
+import { createImageFetcher, resolveImageFetchPolicy } from "../packages/engine/src/image-fetcher.js";
+import { computeRetryDelay, resolveRetryPolicy } from "../packages/engine/src/retry.js";
+import { sleep } from "../packages/engine/src/utils.js";
+import { expandBatch, mergeOverride, parseCsvItems } from "../packages/server/src/batch-input.js";
+import {
+  buildOutputMetadata,
+  embedOutputMetadata,
+  signManifest,
+  verifyManifest
+} from "../packages/server/src/provenance.js";
+import { createAssetStore } from "../packages/server/src/asset-store.js";
+import { createApiKeyAuth, parseApiKeys } from "../packages/server/src/auth.js";
+import { createJobQueue } from "../packages/server/src/job-queue.js";
+import { parseMultipart, readMultipartBoundary } from "../packages/server/src/multipart.js";
+import { createFileTaskStore } from "../packages/server/src/task-store.js";
 
 const contract = validateGenerationContract({
   taskId: "demo_check_task",
@@ -29,7 +62,52 @@ const contract = validateGenerationContract({
 });
 
 assert.equal(contract.sources.length, 2);
+assert.equal(contract.seed, null);
+assert.throws(
+  () => validateGenerationContract({ ...contract, seed: 1.5 }),
+  (error) => error.code === "INVALID_SEED"
+);
+assert.throws(
+  () => validateGenerationContract({ ...contract, topP: 2 }),
+  (error) => error.code === "INVALID_TOP_P"
+);
 assert.equal(contract.reference.weight, 0.9);
+assert.equal(contract.variantCount, 1);
+assert.equal(contract.skeleton, null);
+assert.equal(
+  validateGenerationContract({
+    ...contract,
+    sources: [{ imageRef: "https://example.com/light.png", featureType: "lighting" }]
+  }).sources[0].weight,
+  0.6
+);
+assert.throws(
+  () =>
+    validateGenerationContract({
+      ...contract,
+      sources: [{ imageRef: "https://example.com/x.png", featureType: "UNKNOWN", weight: 0.5 }]
+    }),
+  (error) => error.code === "INVALID_FEATURE_TYPE"
+);
+assert.throws(
+  () => registerFeatureType({ id: "style", hint: "Replace the built-in style." }),
+  (error) => error.code === "FEATURE_TYPE_CONFLICT"
+);
+assert.equal(getFeatureType("STYLE").builtIn, true);
+const builtInStyle = BUILT_IN_FEATURE_TYPES.find((definition) => definition.id === "STYLE");
+assert.equal(registerFeatureType({ ...builtInStyle, override: true }).builtIn, false);
+registerFeatureType(builtInStyle, { builtIn: true });
+assert.equal(contract.soul, null);
+assert.equal(contract.aspectRatio, null);
+assert.throws(
+  () => validateGenerationContract({ ...contract, aspectRatio: "7:3" }),
+  (error) => error.code === "UNSUPPORTED_ASPECT_RATIO"
+);
+assert.throws(
+  () =>
+    validateGenerationContract({ ...contract, model: "gemini-2.5-flash-image", imageSize: "2K" }),
+  (error) => error.code === "UNSUPPORTED_IMAGE_SIZE"
+);
 
 const status = createStatusResponse({
   taskId: contract.taskId,
@@ -39,6 +117,821 @@ const status = createStatusResponse({
 assert.equal(status.status, "QUEUED");
 assert.equal(status.errorCode, null);
 
+const PIXEL_DATA_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+const offlineContract = validateGenerationContract({
+  taskId: "demo_check_mock_task",
+  model: "mock-image",
+  prompt: contract.prompt,
+  reference: {
+    imageRef: PIXEL_DATA_URL,
+    weight: 0.9
+  },
+  sources: contract.sources.map((source) => ({
+    ...source,
+    imageRef: PIXEL_DATA_URL
+  }))
+});
+
+process.env.MOCK_PROVIDER_LATENCY_MS = "0";
+const stages = [];
+const mockResult = await runDualTrackGeneration(offlineContract, {
+  onStage(stage) {
+    stages.push(stage.stage);
+  }
+});
+const repeatedMockResult = await runDualTrackGeneration(offlineContract);
+
+assert.equal(mockResult.provider, "mock");
+assert.equal(mockResult.outputMimeType, "image/png");
+assert.equal(mockResult.outputBuffer.subarray(1, 4).toString("ascii"), "PNG");
+assert.ok(mockResult.outputBuffer.equals(repeatedMockResult.outputBuffer));
+assert.equal(stages[0], "REFERENCE_PREPROCESS");
+assert.equal(stages.at(-1), "OUTPUT_RENDER");
+
+const roleResult = await runDualTrackGeneration(
+  validateGenerationContract({
+    ...offlineContract,
+    skeleton: { imageRef: PIXEL_DATA_URL, weight: 0.7 },
+    soul: { imageRef: PIXEL_DATA_URL, weight: "0.5" }
+  })
+);
+assert.deepEqual(
+  roleResult.workflowGraph.nodes.map((node) => node.id),
+  ["reference", "skeleton", "soul", "feature-track", "gemini-generate"]
+);
+assert.ok(!roleResult.outputBuffer.equals(mockResult.outputBuffer));
+
+const layout = buildPartLayout(
+  {
+    prompt: offlineContract.prompt,
+    userPrompt: offlineContract.prompt,
+    reference: { ...offlineContract.reference, inlineData: { mimeType: "image/png", data: "AAAA" } },
+    sources: offlineContract.sources.map((source) => ({
+      ...source,
+      inlineData: { mimeType: "image/png", data: "AAAA" }
+    }))
+  },
+  { redactImages: true }
+);
+assert.equal(layout.parts.length, 1 + 2 * 3);
+assert.ok(layout.parts[layout.tokens["[Source 1]"].captionPartIndex].text.startsWith("[Source 1]"));
+assert.deepEqual(layout.parts[layout.tokens["[Source 1]"].imagePartIndex].inline_data, {
+  mimeType: "image/png",
+  byteLength: 3,
+  sha256: "709e80c88487a2411e1ee4dfb9f22a861492d20c4765150c0c794abd70f8147c"
+});
+
+const seededContract = { ...offlineContract, seed: 7, temperature: 0.4 };
+const seededResult = await runDualTrackGeneration(seededContract);
+const reseededResult = await runDualTrackGeneration({ ...seededContract, taskId: "demo_check_rerun" });
+assert.ok(seededResult.outputBuffer.equals(reseededResult.outputBuffer));
+assert.deepEqual(seededResult.fingerprint, reseededResult.fingerprint);
+assert.equal(seededResult.fingerprint.modelVersion, "mock-image-v1");
+assert.deepEqual(seededResult.fingerprint.sampling, { seed: 7, temperature: 0.4, topP: null });
+assert.deepEqual(
+  seededResult.fingerprint.inputImages.map((image) => image.role),
+  ["Reference", "Source 0", "Source 1"]
+);
+assert.ok(!seededResult.outputBuffer.equals(mockResult.outputBuffer));
+
+const variantResult = await runDualTrackGeneration({ ...offlineContract, variantCount: 2 });
+assert.equal(variantResult.outputs.length, 2);
+assert.equal(variantResult.usage.imageCount, 2);
+assert.equal(variantResult.usage.attempts, 2);
+assert.equal(variantResult.usage.totalTokens, mockResult.usage.totalTokens * 2);
+assert.ok(variantResult.outputs[0].outputBuffer.equals(mockResult.outputBuffer));
+assert.ok(!variantResult.outputs[1].outputBuffer.equals(mockResult.outputBuffer));
+
+const pricedResult = await runDualTrackGeneration(offlineContract, {
+  priceTable: resolvePriceTable(
+    parsePriceOverrides('{"mock-image":{"inputPerMillionTokens":1000000}}')
+  )
+});
+assert.equal(pricedResult.usage.estimatedCostUsd, pricedResult.usage.promptTokens);
+for (const raw of ["null", "[]", "{oops", '{"mock-image":{"inputPerMillionTokens":-1}}']) {
+  assert.throws(() => parsePriceOverrides(raw), /MODEL_PRICING/);
+}
+
+let flakyCalls = 0;
+registerProvider({
+  name: "check-flaky",
+  async generate(request, options) {
+    flakyCalls += 1;
+    if (flakyCalls < 3) {
+      const error = new Error("temporarily unavailable");
+      error.code = flakyCalls === 1 ? "RATE_LIMITED" : "UPSTREAM_UNAVAILABLE";
+      error.retryable = true;
+      error.retryAfterMs = 0;
+      throw error;
+    }
+    return getProvider("mock").generate(request, options);
+  }
+});
+const retryStages = [];
+const retriedResult = await runDualTrackGeneration(offlineContract, {
+  provider: "check-flaky",
+  retryPolicy: { maxAttempts: 4, baseDelayMs: 0 },
+  onStage(stage) {
+    if (stage.stage === "RETRYING") {
+      retryStages.push(stage.message);
+    }
+  }
+});
+assert.ok(retriedResult.outputBuffer.equals(mockResult.outputBuffer));
+assert.deepEqual(retryStages, ["retrying (2/4)", "retrying (3/4)"]);
+
+flakyCalls = 0;
+await assert.rejects(
+  runDualTrackGeneration(offlineContract, {
+    provider: "check-flaky",
+    retryPolicy: { maxAttempts: 2, baseDelayMs: 0 }
+  }),
+  (error) => error.code === "UPSTREAM_UNAVAILABLE" && error.details.attempts === 2
+);
+assert.equal(computeRetryDelay(1, resolveRetryPolicy({ maxDelayMs: 30000 }), 20000), 20000);
+assert.equal(computeRetryDelay(1, resolveRetryPolicy({ maxDelayMs: 30000 }), 90000), null);
+
+let throttledCalls = 0;
+registerProvider({
+  name: "check-throttled",
+  async generate() {
+    throttledCalls += 1;
+    const error = new Error("resource exhausted");
+    error.code = "RATE_LIMITED";
+    error.retryable = true;
+    error.retryAfterMs = 120000;
+    throw error;
+  }
+});
+await assert.rejects(
+  runDualTrackGeneration(offlineContract, {
+    provider: "check-throttled",
+    retryPolicy: { maxAttempts: 4, baseDelayMs: 0, maxDelayMs: 30000 }
+  }),
+  (error) =>
+    error.code === "RATE_LIMITED" &&
+    error.details.attempts === 1 &&
+    error.details.retryAfterMs === 120000
+);
+assert.equal(throttledCalls, 1);
+
+let unevenOutputCounts = [];
+registerProvider({
+  name: "check-uneven",
+  async generate(request, options) {
+    const result = await getProvider("mock").generate(request, options);
+    const [output] = result.outputs;
+    const count = unevenOutputCounts[request.variantIndex];
+    const outputs = Array.from({ length: count }, (_, index) => ({
+      ...output,
+      outputBuffer: Buffer.from(`variant ${request.variantIndex} image ${index}`)
+    }));
+    return { ...result, outputs };
+  }
+});
+const unevenContract = { ...offlineContract, variantCount: 3 };
+unevenOutputCounts = [2, 1, 0];
+const unevenResult = await runDualTrackGeneration(unevenContract, { provider: "check-uneven" });
+assert.deepEqual(
+  unevenResult.outputs.map((output) => output.outputBuffer.toString()),
+  ["variant 0 image 0", "variant 1 image 0", "variant 0 image 1"]
+);
+assert.equal(unevenResult.usage.imageCount, 3);
+unevenOutputCounts = [0, 0, 0];
+await assert.rejects(
+  runDualTrackGeneration(unevenContract, { provider: "check-uneven" }),
+  (error) => error.code === "NO_IMAGE_RETURNED" && error.details.usage.imageCount === 0
+);
+
+const previousProviderEnv = process.env.GENERATION_PROVIDER;
+process.env.GENERATION_PROVIDER = "check-flaky";
+assert.equal(resolveProvider("mock-image").name, "mock");
+assert.equal(resolveProvider("gemini-2.5-flash-image").name, "gemini");
+assert.equal(resolveProvider("custom-image-model").name, "check-flaky");
+assert.equal(resolveProvider("mock-image", "check-flaky").name, "check-flaky");
+if (previousProviderEnv === undefined) {
+  delete process.env.GENERATION_PROVIDER;
+} else {
+  process.env.GENERATION_PROVIDER = previousProviderEnv;
+}
+
+const geminiProvider = getProvider("gemini");
+const pixelBase64 = PIXEL_DATA_URL.split(",")[1];
+const geminiContract = { ...offlineContract, model: "gemini-3-pro-image-preview" };
+let lastGeminiResult = null;
+registerProvider({
+  name: "check-gemini",
+  buildRequestBody: geminiProvider.buildRequestBody,
+  async generate(request, options) {
+    lastGeminiResult = await geminiProvider.generate(request, options);
+    return lastGeminiResult;
+  }
+});
+const originalFetch = globalThis.fetch;
+const originalGeminiKey = process.env.GEMINI_API_KEY;
+process.env.GEMINI_API_KEY = "check-key";
+const geminiCalls = [];
+let nextGeminiResponse = null;
+globalThis.fetch = async (url, init) => {
+  geminiCalls.push({ url: String(url), body: JSON.parse(init.body) });
+  return nextGeminiResponse();
+};
+
+const streamFrames = [
+  { candidates: [{ content: { parts: [{ text: "Sketching the ", thought: true }] } }] },
+  { candidates: [{ content: { parts: [{ text: "layout.", thought: true }] } }] },
+  { candidates: [{ content: { parts: [{ inlineData: { mimeType: "image/png", data: pixelBase64 }, thought: true }] } }] },
+  { candidates: [{ content: { parts: [{ text: "Here is " }] } }] },
+  { candidates: [{ content: { parts: [{ text: "your image，完成。" }] } }] },
+  {
+    candidates: [
+      {
+        content: { parts: [{ inlineData: { mimeType: "image/png", data: pixelBase64 } }] },
+        finishReason: "STOP"
+      }
+    ],
+    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 20, thoughtsTokenCount: 5, totalTokenCount: 35 },
+    modelVersion: "gemini-check-v1"
+  }
+];
+const streamBytes = Buffer.from(
+  streamFrames.map((frame, index) => `data: ${JSON.stringify(frame)}${index === 2 ? "\r\n\r\n" : "\n\n"}`).join("")
+);
+nextGeminiResponse = () =>
+  new Response(
+    new ReadableStream({
+      start(controller) {
+        for (let offset = 0; offset < streamBytes.length; offset += 9) {
+          controller.enqueue(streamBytes.subarray(offset, offset + 9));
+        }
+        controller.close();
+      }
+    }),
+    { status: 200, headers: { "content-type": "text/event-stream" } }
+  );
+const streamEvents = [];
+const streamedResult = await runDualTrackGeneration(geminiContract, {
+  provider: "check-gemini",
+  stream: true,
+  onStage(stage) {
+    if (stage.stage === "STREAMING") {
+      streamEvents.push(stage);
+    }
+  }
+});
+assert.match(geminiCalls[0].url, /:streamGenerateContent\?alt=sse$/);
+assert.deepEqual(geminiCalls[0].body.generationConfig.thinkingConfig, { includeThoughts: true });
+assert.deepEqual(
+  streamEvents.map((event) => event.event),
+  ["thought", "thought", "chunk", "text", "text", "image"]
+);
+assert.deepEqual(streamEvents.map((event) => event.chunkIndex), [0, 1, 2, 3, 4, 5]);
+assert.ok(streamEvents.every((event, index) => index === 0 || event.bytesReceived >= streamEvents[index - 1].bytesReceived));
+assert.equal(streamEvents.at(-1).progress, 0.95);
+assert.equal(lastGeminiResult.text, "Here is your image，完成。");
+assert.deepEqual(lastGeminiResult.finishReasons, ["STOP"]);
+assert.equal(lastGeminiResult.outputs.length, 1);
+assert.deepEqual(lastGeminiResult.usage, {
+  promptTokens: 10,
+  candidateTokens: 20,
+  thoughtTokens: 5,
+  totalTokens: 35
+});
+assert.equal(streamedResult.modelText, "Here is your image，完成。");
+assert.equal(streamedResult.fingerprint.modelVersion, "gemini-check-v1");
+
+const jsonResponse = (body) => () =>
+  new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+const geminiResponseCases = [
+  {
+    body: { promptFeedback: { blockReason: "PROHIBITED_CONTENT" } },
+    code: "SAFETY_BLOCKED",
+    details: { blockReason: "PROHIBITED_CONTENT" }
+  },
+  {
+    body: { candidates: [{ finishReason: "SAFETY", content: { parts: [] } }] },
+    code: "SAFETY_BLOCKED",
+    details: { finishReasons: ["SAFETY"] }
+  },
+  {
+    body: { candidates: [{ finishReason: "RECITATION", content: { parts: [] } }] },
+    code: "RECITATION",
+    details: { finishReasons: ["RECITATION"] }
+  },
+  {
+    body: { candidates: [{ finishReason: "STOP", content: { parts: [{ text: "  I can only describe it. " }] } }] },
+    code: "NO_IMAGE_RETURNED",
+    details: { explanation: "I can only describe it." }
+  },
+  { body: { candidates: [] }, code: "NO_IMAGE_RETURNED", details: { finishReasons: [] } }
+];
+for (const { body, code, details } of geminiResponseCases) {
+  nextGeminiResponse = jsonResponse(body);
+  await assert.rejects(
+    runDualTrackGeneration(geminiContract, {
+      provider: "check-gemini",
+      stream: false,
+      retryPolicy: { maxAttempts: 1 }
+    }),
+    (error) =>
+      error.code === code &&
+      Object.entries(details).every(([key, value]) => assert.deepEqual(error.details[key], value) ?? true)
+  );
+}
+nextGeminiResponse = jsonResponse({
+  candidates: [
+    {
+      finishReason: "STOP",
+      content: {
+        parts: [{ text: "Adjusted the lighting." }, { inlineData: { mimeType: "image/png", data: pixelBase64 } }]
+      }
+    }
+  ]
+});
+const textResult = await runDualTrackGeneration(geminiContract, { provider: "check-gemini", stream: false });
+assert.equal(textResult.modelText, "Adjusted the lighting.");
+assert.equal(geminiCalls.at(-1).body.generationConfig.thinkingConfig, undefined);
+globalThis.fetch = originalFetch;
+if (originalGeminiKey === undefined) {
+  delete process.env.GEMINI_API_KEY;
+} else {
+  process.env.GEMINI_API_KEY = originalGeminiKey;
+}
+
+await assert.rejects(
+  runDualTrackGeneration({
+    ...offlineContract,
+    reference: { ...offlineContract.reference, imageRef: "http://169.254.169.254/latest/meta-data" }
+  }),
+  (error) => error.code === "IMAGE_REF_BLOCKED_ADDRESS"
+);
+
+const imageServer = http.createServer((req, res) => {
+  const pixelBuffer = Buffer.from(pixelBase64, "base64");
+  if (req.url === "/pixel.png") {
+    res.writeHead(200, { "content-type": "image/png", "content-length": pixelBuffer.length });
+    res.end(pixelBuffer);
+  } else if (req.url === "/chunked.png") {
+    res.writeHead(200, { "content-type": "image/png" });
+    res.write(pixelBuffer);
+    res.end(pixelBuffer);
+  } else if (req.url === "/to-metadata") {
+    res.writeHead(302, { location: "http://169.254.169.254/latest/meta-data" });
+    res.end();
+  } else if (req.url === "/loop") {
+    res.writeHead(302, { location: "/loop" });
+    res.end();
+  } else if (req.url === "/page.html") {
+    res.writeHead(200, { "content-type": "image/png" });
+    res.end("<html>not an image</html>");
+  }
+  // Any other path never answers, which exercises the download timeout.
+});
+await new Promise((resolve) => imageServer.listen(0, "127.0.0.1", resolve));
+const imageServerPort = imageServer.address().port;
+const fetchImage = (pathOrUrl, policy = {}) =>
+  createImageFetcher({
+    policy: resolveImageFetchPolicy({ allowedHosts: ["127.0.0.1"], timeoutMs: 2000, ...policy })
+  }).fetch(pathOrUrl.startsWith("http") ? pathOrUrl : `http://127.0.0.1:${imageServerPort}${pathOrUrl}`);
+const fetchedImage = await fetchImage("/pixel.png");
+assert.equal(fetchedImage.inlineData.mimeType, "image/png");
+assert.equal(fetchedImage.byteLength, 70);
+const imageFetchCases = [
+  [`http://127.0.0.1:${imageServerPort}/pixel.png`, { allowedHosts: [] }, "IMAGE_REF_BLOCKED_ADDRESS"],
+  [`http://localhost:${imageServerPort}/pixel.png`, { allowedHosts: [] }, "IMAGE_REF_BLOCKED_ADDRESS"],
+  [`http://[::ffff:127.0.0.1]:${imageServerPort}/pixel.png`, { allowedHosts: [] }, "IMAGE_REF_BLOCKED_ADDRESS"],
+  ["/to-metadata", {}, "IMAGE_REF_BLOCKED_ADDRESS"],
+  ["/loop", { maxRedirects: 2 }, "IMAGE_REF_TOO_MANY_REDIRECTS"],
+  ["/pixel.png", { maxBytes: 32 }, "IMAGE_REF_TOO_LARGE"],
+  ["/chunked.png", { maxBytes: 100 }, "IMAGE_REF_TOO_LARGE"],
+  ["/page.html", {}, "IMAGE_REF_UNSUPPORTED_TYPE"],
+  ["/hang", { timeoutMs: 100 }, "IMAGE_REF_TIMEOUT"]
+];
+for (const [target, policy, code] of imageFetchCases) {
+  await assert.rejects(fetchImage(target, policy), (error) => error.code === code, target);
+}
+imageServer.closeAllConnections();
+await new Promise((resolve) => imageServer.close(resolve));
+
+const maskedResult = await runDualTrackGeneration({
+  ...offlineContract,
+  reference: { ...offlineContract.reference, maskRef: PIXEL_DATA_URL }
+});
+assert.equal(maskedResult.workflowGraph.nodes[0].masked, true);
+assert.ok(!maskedResult.outputBuffer.equals(mockResult.outputBuffer));
+
+await assert.rejects(
+  runDualTrackGeneration({
+    ...offlineContract,
+    reference: {
+      ...offlineContract.reference,
+      maskRef: `data:image/png;base64,${mockResult.outputBuffer.toString("base64")}`
+    }
+  }),
+  (error) => error.code === "MASK_DIMENSION_MISMATCH" && error.details.reference.width === 1
+);
+
+const refineContract = validateGenerationContract({
+  taskId: "demo_check_refine",
+  model: "mock-image",
+  prompt: "make the jacket darker",
+  reference: { imageRef: "task:demo_check_mock_task#0", weight: 0.85 }
+});
+assert.equal(refineContract.parentTaskId, "demo_check_mock_task");
+assert.deepEqual(refineContract.sources, []);
+await assert.rejects(
+  runDualTrackGeneration(refineContract),
+  (error) => error.code === "UNSUPPORTED_IMAGE_REF"
+);
+const resolvedRefs = [];
+const refinedResult = await runDualTrackGeneration(refineContract, {
+  resolveTaskRef(taskRef) {
+    resolvedRefs.push(taskRef);
+    return { mimeType: "image/png", data: mockResult.outputBuffer.toString("base64") };
+  },
+  history: [
+    { role: "user", parts: [{ text: offlineContract.prompt }] },
+    {
+      role: "model",
+      parts: [{ inlineData: { mimeType: "image/png", data: mockResult.outputBuffer.toString("base64") } }]
+    }
+  ]
+});
+assert.deepEqual(resolvedRefs, [{ taskId: "demo_check_mock_task", outputIndex: 0 }]);
+assert.equal(refinedResult.workflowGraph.parentTaskId, "demo_check_mock_task");
+assert.ok(!refinedResult.outputBuffer.equals(mockResult.outputBuffer));
+
+const batch = expandBatch(
+  {
+    batchId: "demo_batch",
+    base: offlineContract,
+    items: [
+      {},
+      ...parseCsvItems('prompt,sources.1.weight\n"second, with comma",0.3\n')
+    ]
+  },
+  { maxItems: 10 }
+);
+assert.deepEqual(
+  batch.contracts.map((item) => item.taskId),
+  ["demo_batch_0", "demo_batch_1"]
+);
+assert.equal(batch.contracts[1].prompt, "second, with comma");
+assert.equal(batch.contracts[1].sources[1].weight, 0.3);
+for (const column of ["__proto__.polluted", "sources.constructor.prototype.polluted"]) {
+  assert.throws(
+    () => parseCsvItems(`prompt,${column}\nhello,yes\n`),
+    (error) => error.code === "INVALID_BATCH"
+  );
+}
+const mergedOverride = mergeOverride({ prompt: "base" }, JSON.parse('{"__proto__":{"polluted":"yes"}}'));
+assert.equal(Object.getPrototypeOf(mergedOverride), Object.prototype);
+assert.equal({}.polluted, undefined);
+assert.equal(batch.contracts[1].sources[1].featureType, offlineContract.sources[1].featureType);
+const sweepBatch = expandBatch(
+  {
+    batchId: "demo_sweep",
+    base: offlineContract,
+    sweep: {
+      "reference.weight": { from: 0.6, to: 0.9, step: 0.15 },
+      "sources.0.weight": [0.5, 0.8]
+    }
+  },
+  { maxItems: 10 }
+);
+assert.equal(sweepBatch.contracts.length, 6);
+assert.deepEqual(sweepBatch.sweep.values[3], [0.75, 0.8]);
+assert.equal(sweepBatch.contracts[3].reference.weight, 0.75);
+assert.equal(sweepBatch.contracts[3].sources[0].weight, 0.8);
+assert.throws(
+  () => expandBatch({ base: offlineContract, sweep: { "soul.weight": [0.5] } }, { maxItems: 10 }),
+  (error) => error.code === "INVALID_SWEEP"
+);
+assert.throws(
+  () => expandBatch({ base: offlineContract, items: [{}, {}] }, { maxItems: 1 }),
+  (error) => error.code === "BATCH_TOO_LARGE"
+);
+
+const workflowContract = validateGenerationContract({
+  taskId: "demo_check_workflow",
+  model: "mock-image",
+  prompt: contract.prompt,
+  workflow: {
+    nodes: [
+      { id: "base", type: "load_image", imageRef: PIXEL_DATA_URL },
+      {
+        id: "style_pass",
+        type: "generate",
+        reference: { imageRef: "node:base", weight: 0.9 },
+        sources: [offlineContract.sources[0]]
+      },
+      {
+        id: "component_pass",
+        type: "generate",
+        reference: { imageRef: "node:style_pass", weight: 0.85 },
+        sources: [offlineContract.sources[1]]
+      }
+    ]
+  }
+});
+assert.equal(workflowContract.reference, null);
+assert.deepEqual(workflowContract.workflow.order, ["base", "style_pass", "component_pass"]);
+assert.equal(workflowContract.workflow.output, "component_pass");
+const workflowEvents = [];
+const workflowResult = await runWorkflow(workflowContract, {
+  onStage(stage) {
+    if (stage.stage === "WORKFLOW_NODE") {
+      workflowEvents.push(`${stage.nodeId}:${stage.status}`);
+    }
+  }
+});
+assert.deepEqual(workflowEvents, [
+  "base:RUNNING",
+  "base:DONE",
+  "style_pass:RUNNING",
+  "style_pass:DONE",
+  "component_pass:RUNNING",
+  "component_pass:DONE"
+]);
+assert.ok(workflowResult.workflowRun.nodes.every((node) => node.durationMs !== null));
+assert.equal(workflowResult.usage.imageCount, 2);
+assert.equal(workflowResult.workflowGraph.nodes.at(-2).sources[0].featureType, "COMPONENT");
+assert.notEqual(
+  workflowResult.outputBuffer.toString("base64"),
+  mockResult.outputBuffer.toString("base64")
+);
+assert.throws(
+  () =>
+    validateGenerationContract({
+      ...workflowContract,
+      workflow: {
+        nodes: [
+          { ...workflowContract.workflow.nodes[1], reference: { imageRef: "node:component_pass", weight: 0.9 } },
+          workflowContract.workflow.nodes[2]
+        ]
+      }
+    }),
+  (error) => error.code === "WORKFLOW_CYCLE"
+);
+
+let siblingCalls = 0;
+registerProvider({
+  name: "check-sibling-failure",
+  async generate(request, options) {
+    siblingCalls += 1;
+    if (siblingCalls === 1) {
+      await sleep(5000, options.signal);
+    }
+    const error = new Error("the model refused the request");
+    error.code = "SAFETY_BLOCKED";
+    throw error;
+  }
+});
+const parallelContract = validateGenerationContract({
+  ...workflowContract,
+  workflow: {
+    nodes: [
+      workflowContract.workflow.nodes[0],
+      { ...workflowContract.workflow.nodes[1], id: "left" },
+      { ...workflowContract.workflow.nodes[1], id: "right" },
+      {
+        ...workflowContract.workflow.nodes[2],
+        reference: { imageRef: "node:left", weight: 0.85 },
+        sources: [{ ...offlineContract.sources[1], imageRef: "node:right" }]
+      }
+    ]
+  }
+});
+const finalNodeStatus = new Map();
+const failFastStartedAt = Date.now();
+await assert.rejects(
+  runWorkflow(parallelContract, {
+    provider: "check-sibling-failure",
+    onStage(stage) {
+      if (stage.stage === "WORKFLOW_NODE") {
+        finalNodeStatus.set(stage.nodeId, stage.status);
+      }
+    }
+  }),
+  (error) => error.code === "SAFETY_BLOCKED"
+);
+assert.ok(Date.now() - failFastStartedAt < 2000);
+assert.deepEqual(Object.fromEntries(finalNodeStatus), {
+  base: "DONE",
+  left: "CANCELLED",
+  right: "FAILED",
+  component_pass: "SKIPPED"
+});
+
+const preview = await previewWorkflow(contract);
+assert.equal(preview.requests.length, 1);
+assert.equal(preview.requests[0].provider, "gemini");
+assert.ok(preview.requests[0].systemPrompt.length > 0);
+assert.deepEqual(
+  preview.requests[0].requestBody.contents[0].parts
+    .filter((part) => part.inline_data)
+    .map((part) => part.inline_data.unresolvedRef),
+  [contract.reference.imageRef, ...contract.sources.map((source) => source.imageRef)]
+);
+const workflowPreview = await previewWorkflow(workflowContract);
+assert.deepEqual(
+  workflowPreview.requests.map((request) => request.nodeId),
+  ["style_pass", "component_pass"]
+);
+assert.equal(
+  workflowPreview.requests[0].requestBody.parts.find((part) => part.inline_data).inline_data.byteLength,
+  70
+);
+
+const outputMetadata = buildOutputMetadata({
+  taskId: workflowContract.taskId,
+  result: workflowResult,
+  createdAt: "2026-01-01T00:00:00.000Z"
+});
+assert.deepEqual(outputMetadata.workflow, ["base", "style_pass", "component_pass"]);
+assert.equal(outputMetadata.featurePlan.sources[0].featureType, "COMPONENT");
+assert.equal(outputMetadata.inputs.length, 2);
+const embeddedPng = embedOutputMetadata(workflowResult.outputBuffer, "image/png", outputMetadata);
+assert.equal(embeddedPng.format, "png-text");
+assert.deepEqual(
+  readImageDimensions(embeddedPng.buffer),
+  readImageDimensions(workflowResult.outputBuffer)
+);
+assert.ok(embeddedPng.buffer.includes("iTXtGeneration\0"));
+assert.ok(embeddedPng.buffer.includes(`"taskId":"${workflowContract.taskId}"`));
+const tinyJpeg = Buffer.from([
+  0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+  0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x03, 3, 1, 0x11, 0, 2, 0x11, 0, 3, 0x11, 0,
+  0xff, 0xd9
+]);
+const embeddedJpeg = embedOutputMetadata(tinyJpeg, "image/jpeg", outputMetadata);
+assert.equal(embeddedJpeg.format, "jpeg-xmp");
+assert.deepEqual(readImageDimensions(embeddedJpeg.buffer), { width: 3, height: 2 });
+assert.ok(embeddedJpeg.buffer.includes("http://ns.adobe.com/xap/1.0/\0"));
+const tinyWebp = Buffer.alloc(26);
+tinyWebp.write("RIFF", 0, "ascii");
+tinyWebp.writeUInt32LE(18, 4);
+tinyWebp.write("WEBPVP8L", 8, "ascii");
+tinyWebp.writeUInt32LE(5, 16);
+tinyWebp[20] = 0x2f;
+tinyWebp.writeUInt32LE(3 | (2 << 14) | (1 << 28), 21);
+const embeddedWebp = embedOutputMetadata(tinyWebp, "image/webp", outputMetadata);
+assert.equal(embeddedWebp.format, "webp-xmp");
+assert.deepEqual(readImageDimensions(embeddedWebp.buffer), { width: 4, height: 3 });
+assert.equal(embeddedWebp.buffer[20], 0x14);
+assert.equal(embeddedWebp.buffer.readUInt32LE(4), embeddedWebp.buffer.length - 8);
+const manifest = signManifest({ manifestVersion: 1, ...outputMetadata, outputs: [] }, "check-secret");
+assert.ok(verifyManifest(manifest, "check-secret"));
+assert.ok(!verifyManifest({ ...manifest, prompt: "tampered" }, "check-secret"));
+assert.ok(!verifyManifest(manifest, "other-secret"));
+
+assert.equal(createStatusResponse({ taskId: "demo", status: "cancelled" }).status, "CANCELLED");
+
+const storeDirectory = await mkdtemp(path.join(os.tmpdir(), "meie-task-store-"));
+const fileStore = createFileTaskStore({ directory: storeDirectory });
+assert.deepEqual(await fileStore.load(), { tasks: [], batches: [], unreadable: [] });
+fileStore.saveTask({ taskId: "stored/1", status: "PROCESSING" });
+fileStore.saveTask({ taskId: "stored/1", status: "SUCCESS" });
+fileStore.saveTask({ taskId: "stored_2", status: "QUEUED" });
+fileStore.saveBatch({ batchId: "stored_batch", taskIds: ["stored_2"] });
+await fileStore.flush();
+fileStore.deleteTask("stored_2");
+await fileStore.flush();
+const reloaded = await createFileTaskStore({ directory: storeDirectory }).load();
+assert.deepEqual(reloaded.tasks, [{ taskId: "stored/1", status: "SUCCESS" }]);
+assert.deepEqual(reloaded.batches.map((batch) => batch.batchId), ["stored_batch"]);
+await writeFile(path.join(storeDirectory, "tasks", "broken.json"), "{");
+assert.deepEqual(
+  (await createFileTaskStore({ directory: storeDirectory }).load()).unreadable,
+  [path.join(storeDirectory, "tasks", "broken.json")]
+);
+await rm(storeDirectory, { recursive: true, force: true });
+
+const assetDirectory = await mkdtemp(path.join(os.tmpdir(), "meie-assets-"));
+const assetStore = createAssetStore({ directory: assetDirectory, maxBytes: 1024 });
+await assetStore.init();
+const pixel = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+const multipartBody = Buffer.concat([
+  Buffer.from('--b0undary\r\nContent-Disposition: form-data; name="note"\r\n\r\nhi\r\n'),
+  Buffer.from('--b0undary\r\nContent-Disposition: form-data; name="file"; filename="pixel.png"\r\n'),
+  Buffer.from("Content-Type: image/png\r\n\r\n"),
+  pixel,
+  Buffer.from("\r\n--b0undary--\r\n")
+]);
+const multipartParts = parseMultipart(
+  multipartBody,
+  readMultipartBoundary("multipart/form-data; boundary=b0undary")
+);
+assert.deepEqual(multipartParts.map((part) => part.filename), [null, "pixel.png"]);
+assert.ok(multipartParts[1].data.equals(pixel));
+const storedAsset = await assetStore.put(multipartParts[1].data, { filename: "pixel.png" });
+assert.equal(storedAsset.created, true);
+assert.deepEqual(
+  [storedAsset.asset.mimeType, storedAsset.asset.width, storedAsset.asset.height],
+  ["image/png", 1, 1]
+);
+assert.equal((await assetStore.put(pixel)).created, false);
+assert.ok((await assetStore.read(storedAsset.asset.assetId)).data.equals(pixel));
+await assert.rejects(assetStore.put(Buffer.from("not an image")), (error) => error.code === "UNSUPPORTED_ASSET_TYPE");
+const assetContract = validateGenerationContract({
+  ...offlineContract,
+  reference: { imageRef: `asset:${storedAsset.asset.assetId}`, weight: 0.8 }
+});
+const assetResult = await runDualTrackGeneration(assetContract, {
+  async resolveAssetRef({ assetId }) {
+    const { asset, data } = await assetStore.read(assetId);
+    return { mimeType: asset.mimeType, data: data.toString("base64") };
+  }
+});
+assert.equal(assetResult.fingerprint.inputImages[0].sha256, storedAsset.asset.assetId);
+assert.throws(
+  () => validateGenerationContract({ ...offlineContract, reference: { imageRef: "asset:nope", weight: 0.8 } }),
+  (error) => error.code === "INVALID_ASSET_REF"
+);
+await rm(assetDirectory, { recursive: true, force: true });
+
+assert.throws(() => parseApiKeys("", { rateLimitPerMinute: Number("ten") }), /API_RATE_LIMIT_PER_MINUTE/);
+assert.throws(() => parseApiKeys("", { dailyQuota: -1 }), /API_DAILY_QUOTA/);
+let authNowMs = Date.parse("2026-01-01T23:59:30.000Z");
+const apiAuth = createApiKeyAuth({
+  keys: parseApiKeys(
+    JSON.stringify([
+      { key: "alice-secret", clientId: "alice", dailyQuota: 2 },
+      { key: "ops-secret-1", clientId: "ops", admin: true }
+    ]),
+    { rateLimitPerMinute: 2 }
+  ),
+  now: () => authNowMs
+});
+const authRequest = (headers, method = "GET") => ({ method, headers });
+const authUrl = new URL("http://localhost/api/tasks/t1/events?access_token=ops-secret-1");
+const alice = apiAuth.authenticate(authRequest({ authorization: "Bearer alice-secret" }), authUrl);
+assert.equal(alice.clientId, "alice");
+assert.equal(apiAuth.authenticate(authRequest({}), authUrl).clientId, "ops");
+assert.throws(
+  () => apiAuth.authenticate(authRequest({}, "POST"), authUrl),
+  (error) => error.statusCode === 401 && error.code === "UNAUTHORIZED"
+);
+assert.throws(
+  () => apiAuth.authenticate(authRequest({ "x-api-key": "nope" }), authUrl),
+  (error) => error.statusCode === 401 && error.code === "INVALID_API_KEY"
+);
+assert.throws(() => apiAuth.requireAdmin(alice), (error) => error.statusCode === 403);
+assert.equal(apiAuth.canAccess(alice, "ops"), false);
+apiAuth.consumeSubmission(alice);
+apiAuth.consumeSubmission(alice);
+assert.throws(
+  () => apiAuth.consumeSubmission(alice),
+  (error) => error.statusCode === 429 && error.headers["retry-after"] === "60"
+);
+authNowMs += 60 * 1000;
+apiAuth.consumeSubmission(alice);
+apiAuth.recordGenerations("alice", 2, "2026-01-02T00:00:00.000Z");
+assert.throws(() => apiAuth.ensureQuota(alice), (error) => error.code === "QUOTA_EXCEEDED");
+assert.equal(createApiKeyAuth({ keys: [] }).authenticate(authRequest({}), authUrl), null);
+
+const jobOrder = [];
+const jobQueue = createJobQueue({
+  concurrency: 2,
+  run: async (id) => {
+    jobOrder.push(id);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+});
+jobQueue.pause();
+const jobsDone = [
+  jobQueue.enqueue({ id: "low" }),
+  jobQueue.enqueue({ id: "batch_0", limits: [{ key: "batch", max: 1 }] }),
+  jobQueue.enqueue({ id: "batch_1", limits: [{ key: "batch", max: 1 }] }),
+  jobQueue.enqueue({ id: "high", priority: 5 })
+];
+assert.equal(jobQueue.position("high"), 1);
+assert.equal(jobQueue.position("batch_1"), 4);
+assert.equal(jobQueue.estimatedWaitMs("high"), null);
+jobQueue.remove("low");
+jobQueue.resume();
+await Promise.all(jobsDone);
+assert.deepEqual(jobOrder, ["high", "batch_0", "batch_1"]);
+assert.equal(jobQueue.snapshot().queuedCount, 0);
+assert.equal(validateGenerationContract({ ...offlineContract, priority: "3" }).priority, 3);
+assert.throws(
+  () => validateGenerationContract({ ...offlineContract, priority: 1.5 }),
+  (error) => error.code === "INVALID_PRIORITY"
+);
+
+process.env.MOCK_PROVIDER_LATENCY_MS = "200";
+const abortController = new AbortController();
+setTimeout(() => abortController.abort("check"), 20);
+await assert.rejects(
+  runDualTrackGeneration(offlineContract, { signal: abortController.signal }),
+  (error) => error.code === "TASK_CANCELLED"
+);
+process.env.MOCK_PROVIDER_LATENCY_MS = "0";
+
 if (process.env.CHECK_REMOTE === "1") {
   const result = await runDualTrackGeneration(contract);
   assert.ok(result.outputBuffer.length > 0);